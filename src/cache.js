@@ -0,0 +1,179 @@
+/**
+ * @typedef {object} CacheStorage
+ * @description Persistent storage of cached metadata. Methods may return promises, e.g. for IndexedDB
+ * @property {Function} get - returns entry saved by the key or null
+ * @property {Function} set - saves entry {value, expires} by the key
+ * @property {Function} delete - removes entry by the key
+ * @property {Function} [clear] - removes all entries
+ */
+
+/**
+ * @typedef {object} MetadataCache
+ * @description Cache of link metadata shared by all blocks
+ * @property {Function} get - (url, load) resolves cached value or loads it once for concurrent calls
+ * @property {Function} delete - removes cached value of the link
+ * @property {Function} clear - removes all cached values
+ */
+
+/**
+ * Time to keep link metadata, ms
+ */
+export const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Prefix of localStorage keys
+ */
+const STORAGE_PREFIX = 'embed-tool:';
+
+/**
+ * Get cache key of the link: trimmed URL with lowercase host and without hash
+ *
+ * @param {string} url - link
+ * @returns {string}
+ */
+export function getCacheKey(url) {
+  const link = String(url || '').trim();
+
+  try {
+    const parsed = new URL(link);
+
+    parsed.hash = '';
+
+    return parsed.href;
+  } catch (e) {
+    return link;
+  }
+}
+
+/**
+ * Create storage keeping entries in localStorage as JSON
+ *
+ * @param {Storage} [storage] - Web Storage object
+ * @param {string} [prefix] - prefix of keys
+ * @returns {CacheStorage}
+ */
+export function createLocalStorage(storage = window.localStorage, prefix = STORAGE_PREFIX) {
+  return {
+    get: (key) => JSON.parse(storage.getItem(prefix + key)),
+    set: (key, entry) => storage.setItem(prefix + key, JSON.stringify(entry)),
+    delete: (key) => storage.removeItem(prefix + key),
+    clear: () => {
+      const keys = [];
+
+      for (let index = 0; index < storage.length; index++) {
+        keys.push(storage.key(index));
+      }
+
+      keys
+        .filter((key) => key && key.startsWith(prefix))
+        .forEach((key) => storage.removeItem(key));
+    },
+  };
+}
+
+/**
+ * Get storage of the cache config
+ *
+ * @param {CacheStorage|string} [storage] - storage adapter or 'localStorage'
+ * @returns {CacheStorage|undefined} - undefined if the storage is not available
+ */
+export function getCacheStorage(storage) {
+  if (storage !== 'localStorage') {
+    return storage instanceof Object ? storage : undefined;
+  }
+
+  try {
+    return createLocalStorage(window.localStorage);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Call storage method ignoring its errors, e.g. exceeded quota or disabled storage
+ *
+ * @param {CacheStorage} storage - persistent storage
+ * @param {string} method - method name
+ * @param {...*} args - method arguments
+ * @returns {Promise}
+ */
+function callStorage(storage, method, ...args) {
+  if (!storage || typeof storage[method] !== 'function') {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => resolve(storage[method](...args)))
+    .catch(() => null);
+}
+
+/**
+ * Create in-memory cache with optional persistent storage. Failed loads are not cached
+ *
+ * @param {object} [options] - cache options
+ * @param {number} [options.ttl] - time to keep values, ms
+ * @param {CacheStorage} [options.storage] - persistent storage checked when the value is not in memory
+ * @param {Function} [options.now] - current time getter
+ * @returns {MetadataCache}
+ */
+export function createMetadataCache({ ttl = DEFAULT_TTL, storage, now = Date.now } = {}) {
+  const entries = new Map();
+  const pending = new Map();
+  const isFresh = (entry) => entry instanceof Object && typeof entry.expires === 'number' && entry.expires > now();
+
+  const load = (key, url, loader) => callStorage(storage, 'get', key)
+    .then((stored) => {
+      if (isFresh(stored)) {
+        return stored;
+      }
+
+      return Promise.resolve(loader(url))
+        .then((value) => {
+          const entry = {
+            value,
+            expires: now() + ttl,
+          };
+
+          callStorage(storage, 'set', key, entry);
+
+          return entry;
+        });
+    })
+    .then((entry) => {
+      entries.set(key, entry);
+
+      return entry.value;
+    });
+
+  return {
+    get(url, loader) {
+      const key = getCacheKey(url);
+      const entry = entries.get(key);
+
+      if (isFresh(entry)) {
+        return Promise.resolve(entry.value);
+      }
+
+      if (!pending.has(key)) {
+        const request = load(key, url, loader);
+        const done = () => pending.delete(key);
+
+        request.then(done, done);
+        pending.set(key, request);
+      }
+
+      return pending.get(key);
+    },
+    delete(url) {
+      const key = getCacheKey(url);
+
+      entries.delete(key);
+
+      return callStorage(storage, 'delete', key);
+    },
+    clear() {
+      entries.clear();
+
+      return callStorage(storage, 'clear');
+    },
+  };
+}
@@ -0,0 +1,14 @@
+/**
+ * Built-in layouts of link cards. The first one is the default horizontal card
+ */
+export const CARD_VARIANTS = ['default', 'compact', 'large', 'text'];
+
+/**
+ * Get card variant of the block
+ *
+ * @param {EmbedData} data - block data
+ * @returns {string} - default for missing and unknown variants
+ */
+export function getCardVariant(data) {
+  return data && CARD_VARIANTS.includes(data.cardVariant) ? data.cardVariant : CARD_VARIANTS[0];
+}
@@ -0,0 +1,86 @@
+import { resolveUrl } from './resolver';
+import { splitPastedText } from './paste';
+import { getHostname } from './domains';
+
+/**
+ * Layouts of blocks with several links
+ */
+export const LAYOUTS = ['gallery', 'carousel', 'playlist'];
+
+/**
+ * Check that block data holds several links
+ *
+ * @param {EmbedData} data - block data
+ * @returns {boolean}
+ */
+export function isCollection(data) {
+  return !!data && LAYOUTS.includes(data.layout) && Array.isArray(data.items);
+}
+
+/**
+ * Resolve pasted links to collection items. Only links of known services are kept
+ *
+ * @param {string} text - pasted links, one per line
+ * @param {object} services - services to match links against
+ * @param {object} [options] - privacyMode, allowedDomains, blockedDomains, onReject and normalize as in the tool config
+ * @returns {EmbedData[]}
+ */
+export function getCollectionItems(text, services, options = {}) {
+  return splitPastedText(text)
+    .map((link) => resolveUrl(link, services, options))
+    .map((resolution) => {
+      if (resolution && resolution.rejected && typeof options.onReject === 'function') {
+        options.onReject(resolution.source, resolution.rejected);
+      }
+
+      return resolution;
+    })
+    .filter((resolution) => resolution && resolution.service !== 'etc' && !resolution.rejected)
+    .map(({ service, source, embed, width, height }) => ({
+      service,
+      source,
+      embed,
+      width,
+      height,
+    }));
+}
+
+/**
+ * Move item to another position
+ *
+ * @param {Array} items - collection items
+ * @param {number} from - index of the item to move
+ * @param {number} to - index to move the item to
+ * @returns {Array} - new array
+ */
+export function moveItem(items, from, to) {
+  const result = items.slice();
+
+  if (from === to || !result[from] || to < 0 || to >= result.length) {
+    return result;
+  }
+
+  const [ item ] = result.splice(from, 1);
+
+  result.splice(to, 0, item);
+
+  return result;
+}
+
+/**
+ * Get short label of the item for playlist
+ *
+ * @param {EmbedData} item - collection item
+ * @returns {string}
+ */
+export function getItemLabel({ source = '' }) {
+  const hostname = getHostname(source);
+
+  if (!hostname) {
+    return source;
+  }
+
+  const path = source.replace(/^[a-z]+:\/\/[^/]+/i, '').replace(/[?#].*$/, '');
+
+  return hostname.replace(/^www\./, '') + (path.length > 1 ? path : '');
+}
@@ -0,0 +1,69 @@
+/**
+ * Get hostname of the link. Links without scheme are treated as https
+ *
+ * @param {string} url - link to parse
+ * @returns {string|null} - null if the link is not a valid URL
+ */
+export function getHostname(url) {
+  const value = (url || '').trim();
+
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`).hostname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check hostname against domain pattern.
+ * 'example.com' matches the domain itself, '*.example.com' matches its subdomains, '*' matches any domain
+ *
+ * @param {string} hostname - hostname to check
+ * @param {string} pattern - domain pattern
+ * @returns {boolean}
+ */
+export function matchDomain(hostname, pattern) {
+  pattern = pattern.trim().toLowerCase();
+
+  if (pattern === '*') {
+    return true;
+  }
+
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+
+  return hostname === pattern;
+}
+
+/**
+ * Check the link against allowed and blocked domains lists.
+ * Blocked domains take precedence, empty allowed list allows any domain
+ *
+ * @param {string} url - link to check
+ * @param {object} [lists] - domain patterns lists
+ * @param {string[]} [lists.allowedDomains] - only these domains are allowed if not empty
+ * @param {string[]} [lists.blockedDomains] - these domains are rejected
+ * @returns {string|null} - rejection reason: 'invalid', 'blocked' or 'not-allowed', null if the link is allowed
+ */
+export function getRejectionReason(url, { allowedDomains = [], blockedDomains = [] } = {}) {
+  if (!allowedDomains.length && !blockedDomains.length) {
+    return null;
+  }
+
+  const hostname = getHostname(url);
+
+  if (!hostname) {
+    return 'invalid';
+  }
+
+  if (blockedDomains.some((pattern) => matchDomain(hostname, pattern))) {
+    return 'blocked';
+  }
+
+  if (allowedDomains.length && !allowedDomains.some((pattern) => matchDomain(hostname, pattern))) {
+    return 'not-allowed';
+  }
+
+  return null;
+}
@@ -0,0 +1,60 @@
+/**
+ * Lazy loading modes: 'click' loads content on facade click, 'visible' loads it when scrolled into view
+ */
+export const LAZY_MODES = ['click', 'visible'];
+
+/**
+ * Get lazy loading mode of the service
+ *
+ * @param {string|boolean|object} lazy - mode for all services or map of service name to mode with optional 'default' key
+ * @param {string} service - service name
+ * @returns {string|null} - null if content is loaded at once
+ */
+export function getLazyMode(lazy, service) {
+  let mode = lazy;
+
+  if (lazy instanceof Object) {
+    mode = service in lazy ? lazy[service] : lazy.default;
+  }
+
+  if (mode === true) {
+    return 'click';
+  }
+
+  return LAZY_MODES.includes(mode) ? mode : null;
+}
+
+/**
+ * Get YouTube video preview from embed URL
+ *
+ * @param {string} embed - URL of YouTube embed page
+ * @returns {string} - empty string if video id is not found
+ */
+export function getYouTubeThumbnail(embed) {
+  const match = /\/embed\/([^/?#&]+)/.exec(embed || '');
+
+  return match ? `https://i.ytimg.com/vi/${match[1]}/hqdefault.jpg` : '';
+}
+
+/**
+ * Vimeo oEmbed API is used to get video preview
+ *
+ * @type {object}
+ */
+export const VIMEO_PROVIDER = {
+  name: 'Vimeo',
+  endpoint: 'https://vimeo.com/api/oembed.json',
+  schemes: [ 'https://vimeo.com/*' ],
+};
+
+/**
+ * Get Vimeo video page URL from embed URL to request its oEmbed data
+ *
+ * @param {string} embed - URL of Vimeo player page
+ * @returns {string} - empty string if video id is not found
+ */
+export function getVimeoVideoUrl(embed) {
+  const match = /\/video\/(\d+)/.exec(embed || '');
+
+  return match ? `https://vimeo.com/${match[1]}` : '';
+}
@@ -0,0 +1,413 @@
+import { prepareServices } from './services';
+import { completeOgData } from './og';
+import { getHostname, getRejectionReason } from './domains';
+import { cssUrl, getAttribute, getPolicyAttributes, isSingleIframe, safeUrl } from './security';
+import { getEmbedUrl } from './resolver';
+import { hasDimensions } from './sizing';
+import { migrateEmbedData } from './schema';
+import { isCollection } from './collection';
+import { getCardVariant } from './card';
+
+/**
+ * @typedef {object} RenderOptions
+ * @description Options of server-side rendering
+ * @property {object} [services] - services in the same format as Embed Tool config: names to enable and custom services
+ * @property {Policy} [policy] - sandbox, allow and referrerpolicy overrides applied to every iframe
+ * @property {boolean} [privacyMode] - use privacy-enhanced embed URLs
+ * @property {string[]} [allowedDomains] - only links of these domains are rendered
+ * @property {string[]} [blockedDomains] - links of these domains are never rendered
+ * @property {{frameTitle: string}} [messages] - iframe title template, {service} is replaced with service name
+ * @property {Function} [renderCard] - called with OgData and {variant, source, escapeHtml, renderDefault} helpers,
+ *   returns link card markup. Return nothing to use the built-in card
+ */
+
+/**
+ * Sandbox of frames with arbitrary oEmbed markup
+ */
+const MARKUP_SANDBOX = 'allow-scripts allow-popups';
+
+/**
+ * Default iframe title template, same as in the editor
+ */
+const FRAME_TITLE = '{service} 콘텐츠';
+
+/**
+ * Width of content for size tunes
+ */
+const SIZES = {
+  medium: '75%',
+  small: '50%',
+};
+
+/**
+ * Horizontal margins of content for alignment tunes
+ */
+const MARGINS = {
+  left: 'margin: 0 auto 0 0;',
+  right: 'margin: 0 0 0 auto;',
+};
+
+/**
+ * Styles of gallery, carousel and playlist. Playlist is rendered as a list of all players
+ */
+const LAYOUT_STYLES = {
+  gallery: {
+    collection: 'display: grid; grid-template-columns: repeat(auto-fill, minmax(280px, 1fr)); gap: 12px;',
+    item: 'min-width: 0;',
+  },
+  carousel: {
+    collection: 'display: flex; gap: 12px; overflow-x: auto; scroll-snap-type: x mandatory;',
+    item: 'flex: 0 0 100%; scroll-snap-align: start;',
+  },
+  playlist: {
+    collection: 'display: flex; flex-direction: column; gap: 12px;',
+    item: '',
+  },
+};
+
+/**
+ * Inline styles of link card variants. Variants without image or description have it set to false
+ */
+const CARD_STYLES = {
+  default: {
+    card: 'min-height: 120px; max-height: 120px;',
+    body: 'justify-content: space-between; padding: 16px;',
+    image: 'min-width: 160px; max-width: 160px;',
+    description: true,
+  },
+  compact: {
+    card: 'min-height: 64px; max-height: 64px;',
+    body: 'justify-content: center; padding: 8px 12px;',
+    image: 'min-width: 64px; max-width: 64px;',
+    description: false,
+  },
+  large: {
+    card: 'flex-direction: column-reverse;',
+    body: 'justify-content: space-between; padding: 16px;',
+    image: 'height: 200px;',
+    description: true,
+  },
+  text: {
+    card: '',
+    body: 'justify-content: space-between; padding: 16px;',
+    image: false,
+    description: true,
+  },
+};
+
+/**
+ * Escape text to use in HTML content and attribute values
+ *
+ * @param {*} value - text to escape
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Compose attributes string
+ *
+ * @param {object} attributes - attribute name to value map. Attributes with true value are rendered without value
+ * @returns {string}
+ */
+function stringifyAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== false)
+    .map(([name, value]) => (value === true ? name : `${name}="${escapeHtml(value)}"`))
+    .join(' ');
+}
+
+/**
+ * Compose accessible name of the iframe
+ *
+ * @param {string} name - service name, link hostname is used if empty
+ * @param {string} source - resource URL
+ * @param {RenderOptions} options - rendering options
+ * @returns {string}
+ */
+function getFrameTitle(name, source, options) {
+  const template = (options.messages && options.messages.frameTitle) || FRAME_TITLE;
+
+  return template.replace('{service}', name || getHostname(source) || '');
+}
+
+/**
+ * Wrap iframe into container keeping content aspect ratio
+ *
+ * @param {object} attributes - iframe attributes
+ * @param {object} size - content dimensions
+ * @param {number} [size.width] - content width
+ * @param {number} [size.height] - content height
+ * @returns {string}
+ */
+function renderFrame(attributes, { width, height }) {
+  if (!hasDimensions(width, height)) {
+    return `<iframe ${stringifyAttributes({
+      class: 'embed-tool__content',
+      style: 'width: 100%; aspect-ratio: 16 / 9; border: 0;',
+      ...attributes,
+    })}></iframe>`;
+  }
+
+  const wrapperStyle = `position: relative; width: 100%; max-width: ${Number(width)}px; ` +
+    `aspect-ratio: ${Number(width)} / ${Number(height)}; margin: 0 auto;`;
+
+  return `<div class="embed-tool__content embed-tool__responsive" style="${wrapperStyle}">` +
+    `<iframe ${stringifyAttributes({
+      style: 'position: absolute; top: 0; left: 0; width: 100%; height: 100%; border: 0;',
+      ...attributes,
+    })}></iframe>` +
+    '</div>';
+}
+
+/**
+ * Render iframe of the service
+ *
+ * @param {object} service - service configuration object
+ * @param {EmbedData} data - saved block data
+ * @param {RenderOptions} options - rendering options
+ * @returns {string}
+ */
+function renderService(service, data, options) {
+  const embed = safeUrl(service.regex.test(data.source)
+    ? getEmbedUrl(service, data.source, {
+      privacyMode: options.privacyMode,
+      playback: data.playback,
+    })
+    : data.embed);
+
+  if (!embed) {
+    return '';
+  }
+
+  const width = service.width || data.width || parseInt(getAttribute(service.html, 'width'), 10);
+  const height = service.height || data.height || parseInt(getAttribute(service.html, 'height'), 10);
+
+  return renderFrame({
+    src: embed,
+    title: getFrameTitle(service.title, data.source, options),
+    ...getPolicyAttributes(service.policy, options.policy),
+  }, {
+    width,
+    height,
+  });
+}
+
+/**
+ * Render resolved oEmbed markup. Anything except a single iframe is isolated in a sandboxed frame
+ *
+ * @param {EmbedData} data - saved block data
+ * @param {RenderOptions} options - rendering options
+ * @returns {string}
+ */
+function renderOEmbed(data, options) {
+  const { html = '', width, height } = data;
+  const src = isSingleIframe(html) ? safeUrl(getAttribute(html, 'src')) : '';
+
+  if (src) {
+    return renderFrame({
+      src,
+      title: getAttribute(html, 'title') || getFrameTitle('', data.source, options),
+      ...getPolicyAttributes(undefined, options.policy),
+    }, {
+      width,
+      height,
+    });
+  }
+
+  return renderFrame({
+    srcdoc: html,
+    title: getFrameTitle('', data.source, options),
+    sandbox: MARKUP_SANDBOX,
+  }, {
+    width,
+    height,
+  });
+}
+
+/**
+ * Render link card with the renderer from the options or the built-in card
+ *
+ * @param {EmbedData} data - saved block data
+ * @param {RenderOptions} options - rendering options
+ * @returns {string}
+ */
+function renderCard(data, options) {
+  const ogData = completeOgData(data.og || {
+    ogTitle: data.source,
+    ogUrl: data.source,
+  });
+
+  if (options.renderCard instanceof Function) {
+    const html = options.renderCard(ogData, {
+      variant: getCardVariant(data),
+      source: data.source,
+      escapeHtml,
+      renderDefault: () => renderDefaultCard(data, ogData),
+    });
+
+    if (typeof html === 'string') {
+      return html;
+    }
+  }
+
+  return renderDefaultCard(data, ogData);
+}
+
+/**
+ * Render link card with the same layout as in the editor
+ *
+ * @param {EmbedData} data - saved block data
+ * @param {OgData} ogData - complete link metadata
+ * @returns {string}
+ */
+function renderDefaultCard(data, ogData) {
+  const { ogTitle, ogDescription, ogImageUrl, ogImageAlt, ogUrl, ogIcon, ogSiteName } = ogData;
+  const styles = CARD_STYLES[getCardVariant(data)];
+  const href = safeUrl(ogUrl) || safeUrl(data.source);
+  const icon = safeUrl(ogIcon);
+  const image = data.cardStyle === 'plain' || !styles.image
+    ? ''
+    : cssUrl(ogImageUrl);
+
+  const iconHtml = (size, margin) => icon
+    ? `<img src="${escapeHtml(icon)}" alt="" style="width: ${size}px; height: ${size}px; margin-right: ${margin}px;">`
+    : '';
+
+  return `<a class="embed-tool__card" ${stringifyAttributes({
+    href,
+    target: '_blank',
+    rel: 'noopener noreferrer',
+  })} style="display: flex; justify-content: space-between; ${styles.card} text-decoration: none;">` +
+    `<div class="embed-tool__flex_column" style="display: flex; flex-direction: column; ${styles.body}">` +
+      '<div>' +
+        '<div class="embed-tool__flex_row" style="display: flex; align-items: center;">' +
+          iconHtml(16, 8) +
+          `<span class="embed-tool__text" style="font-size: 14px;">${escapeHtml(ogTitle)}</span>` +
+        '</div>' +
+        (styles.description
+          ? `<span class="embed-tool__text" style="display: block; font-size: 12px; margin-top: 4px;">${escapeHtml(ogDescription)}</span>`
+          : '') +
+      '</div>' +
+      '<div class="embed-tool__flex_row" style="display: flex; align-items: center; font-size: 12px;">' +
+        iconHtml(12, 4) +
+        `<span>${escapeHtml(ogSiteName)}</span>` +
+      '</div>' +
+    '</div>' +
+    (image
+      ? `<div class="embed-tool__img" role="img" aria-label="${escapeHtml(ogImageAlt || ogTitle)}" style="${styles.image} background: url(&quot;${escapeHtml(image)}&quot;) 50% 50% / cover no-repeat;"></div>`
+      : '') +
+    '</a>';
+}
+
+/**
+ * Render iframes of gallery, carousel or playlist. Items of unknown services and rejected links are skipped
+ *
+ * @param {EmbedData} data - saved block data
+ * @param {object} services - available services
+ * @param {RenderOptions} options - rendering options
+ * @returns {string}
+ */
+function renderCollection(data, services, options) {
+  const styles = LAYOUT_STYLES[data.layout];
+  const items = data.items
+    .filter((item) => item instanceof Object && services[item.service] && typeof item.source === 'string')
+    .filter((item) => !getRejectionReason(item.source, options))
+    .map((item) => renderService(services[item.service], item, options))
+    .filter((item) => !!item)
+    .map((item) => `<div ${stringifyAttributes({
+      class: 'embed-tool__item',
+      style: styles.item || undefined,
+    })}>${item}</div>`);
+
+  if (!items.length) {
+    return '';
+  }
+
+  return `<div class="embed-tool__collection embed-tool__collection--${data.layout}" style="${styles.collection}">` +
+    items.join('') +
+    '</div>';
+}
+
+/**
+ * Render saved Embed Tool data to HTML without DOM, e.g. on the server or in email templates
+ *
+ * @param {EmbedData} data - saved block data
+ * @param {RenderOptions} [options] - rendering options
+ * @returns {string} - empty string if data can not be rendered
+ */
+export function renderToHTML(data, options = {}) {
+  if (!(data instanceof Object)) {
+    return '';
+  }
+
+  data = migrateEmbedData(data);
+
+  const collection = isCollection(data);
+
+  if (!collection && (!data.service || !data.source)) {
+    return '';
+  }
+
+  if (!collection && getRejectionReason(data.source, options)) {
+    return '';
+  }
+
+  const services = prepareServices(options.services);
+
+  let content = '';
+
+  if (collection) {
+    content = renderCollection(data, services, options);
+  } else if (data.service === 'etc') {
+    content = renderCard(data, options);
+  } else if (data.service === 'oembed') {
+    content = renderOEmbed(data, options);
+  } else if (services[data.service]) {
+    content = renderService(services[data.service], data, options);
+  } else {
+    content = renderCard(data, options);
+  }
+
+  if (!content) {
+    return '';
+  }
+
+  const caption = data.caption
+    ? `<figcaption class="embed-tool__caption" style="margin-top: 7px; text-align: center;">${escapeHtml(data.caption)}</figcaption>`
+    : '';
+
+  const classNames = [ 'embed-tool' ];
+
+  if (SIZES[data.size]) {
+    classNames.push(`embed-tool--size-${data.size}`);
+  }
+
+  if (MARGINS[data.align]) {
+    classNames.push(`embed-tool--align-${data.align}`);
+  }
+
+  if (data.service === 'etc' && data.cardStyle === 'plain') {
+    classNames.push('embed-tool--card-style-plain');
+  }
+
+  if (data.service === 'etc' && getCardVariant(data) !== 'default') {
+    classNames.push(`embed-tool--card-variant-${getCardVariant(data)}`);
+  }
+
+  const style = (SIZES[data.size] ? `max-width: ${SIZES[data.size]}; ` : '') +
+    (MARGINS[data.align] || (SIZES[data.size] ? 'margin: 0 auto;' : 'margin: 0;'));
+
+  return `<figure ${stringifyAttributes({
+    class: classNames.join(' '),
+    'data-service': data.service,
+    'data-layout': collection ? data.layout : undefined,
+    style,
+  })}>${content}${caption}</figure>`;
+}
@@ -1,17 +1,207 @@
-import SERVICES from './services';
+import { ACTIVE_SERVICES, checkServiceConfig, prepareServices } from './services';
+import { completeOgData, fetchOgData, normalizeOgData } from './og';
+import { PROVIDERS as OEMBED_PROVIDERS, fetchOEmbed, getOEmbedHtml } from './oembed';
+import { getResponsiveStyle, hasDimensions } from './sizing';
+import { cssUrl, getAttribute, getPolicyAttributes, getSingleElement, safeUrl } from './security';
+import { getHostname, getRejectionReason } from './domains';
+import { VIMEO_PROVIDER, getLazyMode, getVimeoVideoUrl, getYouTubeThumbnail } from './facade';
+import { checkConsent, getPrivacyOptions, grantConsent } from './privacy';
+import { ETC_PATTERN, getEmbedUrl, getMatch, resolveUrl } from './resolver';
+import { normalizeUrl } from './normalize';
+import { loadScript } from './widgets';
+import { formatTime, parseTime, pickPlayback } from './playback';
+import { getPastedBlocks, splitPastedText } from './paste';
+import { getCustomClasses, getTheme } from './theme';
+import { getCardVariant } from './card';
+import { createMetadataCache, getCacheStorage } from './cache';
+import { getCollectionItems, getItemLabel, isCollection, moveItem } from './collection';
+import { escapeHtml } from './html';
+import { SCHEMA_VERSION, migrateEmbedData, validateEmbedData } from './schema';
 import './index.css';
-import { debounce } from 'debounce';
 
 import refreshIcon from './img/refresh.svg'
+
+/**
+ * User-facing strings. Values are used as keys of Editor.js i18n dictionary
+ */
+const MESSAGES = {
+  urlPlaceholder: 'URL 을 입력하세요.',
+  captionPlaceholder: '설명을 입력하세요.',
+  invalidUrl: '잘못된 URL입니다.',
+  rejectedUrl: '허용되지 않은 URL입니다.',
+  play: '콘텐츠 불러오기',
+  consent: '{domain} 콘텐츠를 불러오면 해당 사이트에 정보가 전송될 수 있습니다.',
+  consentButton: '불러오기',
+  loadTimeout: '콘텐츠를 불러오는 시간이 초과되었습니다.',
+  retry: '다시 시도',
+  alignLeft: '왼쪽 정렬',
+  alignCenter: '가운데 정렬',
+  alignRight: '오른쪽 정렬',
+  sizeSmall: '작게',
+  sizeMedium: '보통',
+  sizeFull: '전체 너비',
+  cardStyle: '카드 스타일',
+  plainStyle: '간단한 스타일',
+  cardDefault: '기본 카드',
+  cardCompact: '작은 카드',
+  cardLarge: '큰 이미지 카드',
+  cardText: '텍스트 카드',
+  playback: '재생 옵션',
+  startTime: '시작 시간',
+  endTime: '종료 시간',
+  autoplay: '자동 재생',
+  mute: '음소거',
+  loop: '반복 재생',
+  controls: '컨트롤 표시',
+  applyPlayback: '적용',
+  addUrlPlaceholder: '추가할 URL을 입력하세요.',
+  layoutSingle: '단일 콘텐츠',
+  layoutGallery: '갤러리',
+  layoutCarousel: '캐러셀',
+  layoutPlaylist: '재생 목록',
+  previous: '이전',
+  next: '다음',
+  moveItem: '끌어서 순서 변경',
+  removeItem: '삭제',
+  scriptError: '콘텐츠 스크립트를 불러오지 못했습니다.',
+  frameTitle: '{service} 콘텐츠',
+  urlLabel: '콘텐츠 URL',
+  refresh: '콘텐츠 새로고침',
+  captionLabel: '콘텐츠 설명',
+  loading: '콘텐츠를 불러오는 중입니다.',
+  loaded: '콘텐츠를 불러왔습니다.',
+};
+
+/**
+ * Block tunes. Each tune is a group of options, the first option is the default one
+ */
+const TUNES = {
+  align: [
+    {
+      value: 'center',
+      label: 'alignCenter',
+      icon: '<svg width="20" height="20" viewBox="0 0 20 20"><path d="M3 4h14M6 8h8M3 12h14M6 16h8" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>',
+    },
+    {
+      value: 'left',
+      label: 'alignLeft',
+      icon: '<svg width="20" height="20" viewBox="0 0 20 20"><path d="M3 4h14M3 8h8M3 12h14M3 16h8" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>',
+    },
+    {
+      value: 'right',
+      label: 'alignRight',
+      icon: '<svg width="20" height="20" viewBox="0 0 20 20"><path d="M3 4h14M9 8h8M3 12h14M9 16h8" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>',
+    },
+  ],
+  size: [
+    {
+      value: 'full',
+      label: 'sizeFull',
+      icon: '<svg width="20" height="20" viewBox="0 0 20 20"><rect x="2" y="5" width="16" height="10" rx="2" stroke="currentColor" stroke-width="2" fill="none"/></svg>',
+    },
+    {
+      value: 'medium',
+      label: 'sizeMedium',
+      icon: '<svg width="20" height="20" viewBox="0 0 20 20"><rect x="4" y="6" width="12" height="8" rx="2" stroke="currentColor" stroke-width="2" fill="none"/></svg>',
+    },
+    {
+      value: 'small',
+      label: 'sizeSmall',
+      icon: '<svg width="20" height="20" viewBox="0 0 20 20"><rect x="6" y="7" width="8" height="6" rx="2" stroke="currentColor" stroke-width="2" fill="none"/></svg>',
+    },
+  ],
+  cardStyle: [
+    {
+      value: 'card',
+      label: 'cardStyle',
+      icon: '<svg width="20" height="20" viewBox="0 0 20 20"><rect x="2" y="4" width="16" height="12" rx="2" stroke="currentColor" stroke-width="2" fill="none"/><rect x="11" y="6" width="5" height="8" fill="currentColor"/></svg>',
+    },
+    {
+      value: 'plain',
+      label: 'plainStyle',
+      icon: '<svg width="20" height="20" viewBox="0 0 20 20"><path d="M3 6h14M3 10h10M3 14h12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>',
+    },
+  ],
+  cardVariant: [
+    {
+      value: 'default',
+      label: 'cardDefault',
+      icon: '<svg width="20" height="20" viewBox="0 0 20 20"><rect x="2" y="5" width="16" height="10" rx="2" stroke="currentColor" stroke-width="2" fill="none"/><rect x="12" y="7" width="4" height="6" fill="currentColor"/></svg>',
+    },
+    {
+      value: 'compact',
+      label: 'cardCompact',
+      icon: '<svg width="20" height="20" viewBox="0 0 20 20"><rect x="2" y="7" width="16" height="6" rx="2" stroke="currentColor" stroke-width="2" fill="none"/></svg>',
+    },
+    {
+      value: 'large',
+      label: 'cardLarge',
+      icon: '<svg width="20" height="20" viewBox="0 0 20 20"><rect x="3" y="2" width="14" height="16" rx="2" stroke="currentColor" stroke-width="2" fill="none"/><rect x="5" y="4" width="10" height="7" fill="currentColor"/></svg>',
+    },
+    {
+      value: 'text',
+      label: 'cardText',
+      icon: '<svg width="20" height="20" viewBox="0 0 20 20"><path d="M4 5h12M10 5v11" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>',
+    },
+  ],
+};
+
+/**
+ * Tunes of link cards, offered for etc service only
+ */
+const CARD_TUNES = ['cardStyle', 'cardVariant'];
+
+/**
+ * Layouts of the block. Single layout holds one link, others hold several links in items
+ */
+const LAYOUT_TUNES = [
+  {
+    value: 'single',
+    label: 'layoutSingle',
+    icon: '<svg width="20" height="20" viewBox="0 0 20 20"><rect x="3" y="5" width="14" height="10" rx="2" stroke="currentColor" stroke-width="2" fill="none"/></svg>',
+  },
+  {
+    value: 'gallery',
+    label: 'layoutGallery',
+    icon: '<svg width="20" height="20" viewBox="0 0 20 20"><rect x="3" y="3" width="6" height="6" rx="1" fill="currentColor"/><rect x="11" y="3" width="6" height="6" rx="1" fill="currentColor"/><rect x="3" y="11" width="6" height="6" rx="1" fill="currentColor"/><rect x="11" y="11" width="6" height="6" rx="1" fill="currentColor"/></svg>',
+  },
+  {
+    value: 'carousel',
+    label: 'layoutCarousel',
+    icon: '<svg width="20" height="20" viewBox="0 0 20 20"><rect x="5" y="5" width="10" height="10" rx="1" fill="currentColor"/><path d="M2 7v6M18 7v6" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>',
+  },
+  {
+    value: 'playlist',
+    label: 'layoutPlaylist',
+    icon: '<svg width="20" height="20" viewBox="0 0 20 20"><path d="M3 5h10M3 10h10M3 15h6" stroke="currentColor" stroke-width="2" stroke-linecap="round"/><path d="M13 13l4 2.5-4 2.5z" fill="currentColor"/></svg>',
+  },
+];
+
+/**
+ * Time to wait for embedded content to load, ms
+ */
+const DEFAULT_TIMEOUT = 15000;
+
 /**
  * @typedef {object} EmbedData
  * @description Embed Tool data
+ * @property {number} version - data schema version
  * @property {string} service - service name
  * @property {string} url - source URL of embedded content
  * @property {string} embed - URL to source embed page
  * @property {number} [width] - embedded content width
  * @property {number} [height] - embedded content height
  * @property {string} [caption] - content caption
+ * @property {string} [html] - markup of resolved oEmbed resource (oembed service)
+ * @property {string} [thumbnail] - preview image of resolved oEmbed resource (oembed service)
+ * @property {OgData} [og] - link metadata of the card (etc service)
+ * @property {string} [align] - content alignment: center, left or right
+ * @property {string} [size] - content width preset: full, medium or small
+ * @property {string} [cardStyle] - link card style: card or plain (etc service)
+ * @property {string} [cardVariant] - link card layout: default, compact, large or text (etc service)
+ * @property {Playback} [playback] - playback options of video services
+ * @property {string} [layout] - layout of several links: gallery, carousel or playlist
+ * @property {EmbedData[]} [items] - links of gallery, carousel or playlist: service, source, embed, width and height
  */
 /**
  * @typedef {object} PasteEvent
@@ -21,12 +211,63 @@ import refreshIcon from './img/refresh.svg'
  * @property {RegExp} regex - pattern of source URLs
  * @property {string} embedUrl - URL scheme to embedded page. Use '<%= remote_id %>' to define a place to insert resource id
  * @property {string} html - iframe which contains embedded content
+ * @property {string} [title] - service name used in iframe title
  * @property {Function} [id] - function to get resource id from RegExp groups
+ * @property {Policy} [policy] - sandbox and permissions of the iframe
+ * @property {Function} [privacy] - function to rewrite embed URL for privacy mode
+ * @property {number} [timeout] - time to wait for the iframe to load, ms
+ * @property {object} [playback] - supported playback options and function to apply them to embed URL
+ * @property {Widget} [widget] - official embed rendered by the service loader script instead of iframe
  */
 /**
  * @typedef {object} EmbedConfig
  * @description Embed tool configuration object
  * @property {object} [services] - additional services provided by user. Each property should contain Service object
+ * @property {boolean} [pasteLinkCard] - handle pasted links of unknown services with Open Graph card
+ * @property {string} [ogEndpoint] - Open Graph API URL ending with the query param name. Encoded link to get metadata of is appended to the end
+ * @property {Function} [ogFetcher] - custom function which receives link and resolves OgData. Overrides ogEndpoint
+ * @property {object} [messages] - user-facing strings overrides: urlPlaceholder, captionPlaceholder, invalidUrl, rejectedUrl, play, consent, consentButton, loadTimeout, retry,
+ *   alignLeft, alignCenter, alignRight, sizeSmall, sizeMedium, sizeFull, cardStyle, plainStyle,
+ *   cardDefault, cardCompact, cardLarge, cardText,
+ *   playback, startTime, endTime, autoplay, mute, loop, controls, applyPlayback, addUrlPlaceholder,
+ *   layoutSingle, layoutGallery, layoutCarousel, layoutPlaylist, previous, next, moveItem, removeItem, scriptError,
+ *   frameTitle, urlLabel, refresh, captionLabel, loading, loaded
+ * @property {object|boolean} [oembed] - oEmbed options for links of unknown services or false to disable oEmbed
+ * @property {OEmbedProvider[]} [oembed.providers] - additional oEmbed providers, matched before bundled ones
+ * @property {boolean} [oembed.discovery] - look for oEmbed discovery link in the page if no provider matched
+ * @property {Function} [oembed.fetch] - fetch implementation used for oEmbed requests
+ * @property {object} [oembed.params] - additional oEmbed query params, e.g. maxwidth
+ * @property {Policy} [policy] - sandbox, allow and referrerpolicy overrides applied to every iframe
+ * @property {string[]} [allowedDomains] - only links of these domains are embedded. Use '*.' prefix for subdomains
+ * @property {string[]} [blockedDomains] - links of these domains are never embedded
+ * @property {Function} [onReject] - called with link and reason ('invalid', 'blocked', 'not-allowed') when the link is rejected
+ * @property {string|boolean|object} [lazy] - lazy loading mode: 'click' or 'visible'. Pass object to set mode per service name with optional 'default' key
+ * @property {boolean|object} [privacyMode] - use privacy-enhanced embed URLs and ask for consent before loading other third-party iframes
+ * @property {Function} [privacyMode.hasConsent] - called with domain, returns (or resolves) true if its content may be loaded
+ * @property {Function} [privacyMode.onConsent] - called with domain when user consents to load its content
+ * @property {number} [timeout] - time to wait for iframes to load, ms. Services may have their own timeout
+ * @property {Function} [onError] - called with {service, source, state, error} when content failed to load or saved data is invalid
+ * @property {boolean} [scripts] - pass false to never load third-party scripts, e.g. with strict Content Security Policy.
+ *   Services with widgets are rendered with iframes then
+ * @property {string} [theme] - color theme: light, dark or auto to follow the system setting
+ * @property {object} [classNames] - extra class names by CSS key, e.g. card, form, urlInput, caption, cardTitle
+ * @property {Function} [renderCard] - called with OgData and CardHelpers to create link card element.
+ *   Return nothing to use the built-in card
+ * @property {object|boolean} [cache] - link metadata cache options or false to fetch metadata for every block
+ * @property {number} [cache.ttl] - time to keep metadata, ms. One day by default
+ * @property {CacheStorage|string} [cache.storage] - persistent storage adapter or 'localStorage'
+ * @property {NormalizeOptions|boolean} [normalize] - link normalization options or false to trim links only
+ */
+
+/**
+ * @typedef {object} CardHelpers
+ * @description Helpers passed to the custom card renderer
+ * @property {string} variant - card variant of the block: default, compact, large or text
+ * @property {string} source - link of the block
+ * @property {Function} createElement - creates element with tool and config class names: (tagName, classList, attributes)
+ * @property {Function} renderDefault - creates the built-in card of the variant, e.g. to decorate it
+ * @property {Function} t - translates message of the tool
+ * @property {object} CSS - class names of the tool
  */
 
 /**
@@ -39,6 +280,7 @@ import refreshIcon from './img/refresh.svg'
  *
  * @property {object} services - static property with available services
  * @property {object} patterns - static property with patterns for paste handling configuration
+ * @property {MetadataCache|null} metadataCache - static property with link metadata cache shared by blocks
  */
 export default class Embed {
   /**
@@ -69,14 +311,52 @@ export default class Embed {
    *   config - user config for Tool
    *   api - Editor.js API
    *   readOnly - read-only mode flag
+   *   block - Block API of the block
    */
-  constructor({ data, api, readOnly }) {
+  constructor({ data, api, config = {}, readOnly, block }) {
     this.api = api;
+    this.block = block;
+    this.config = config;
     this._data = {};
     this.element = null;
     this.readOnly = readOnly;
+    this._cleanups = [];
+
+    this.data = data instanceof Object ? this._prepareData(data) : data;
+  }
+
+  /**
+   * Upgrade saved data to the current schema and replace services which are not available with link card
+   *
+   * @param {object} data - previously saved data
+   * @returns {EmbedData}
+   */
+  _prepareData(data) {
+    const migrated = migrateEmbedData(data);
+    const { errors } = validateEmbedData(migrated);
+    const { service, source } = migrated;
+    const { onError } = this.config;
+
+    if (errors.length && typeof onError === 'function') {
+      onError({
+        service,
+        source,
+        state: 'invalid',
+        error: new Error(errors.map(({ path, message }) => `${path} ${message}`).join(', ')),
+      });
+    }
 
-    this.data = data;
+    const isKnown = !service || service === 'etc' || service === 'oembed' ||
+      !Embed.services || service in Embed.services;
+
+    if (!isKnown && source) {
+      return {
+        ...migrated,
+        service: 'etc',
+      };
+    }
+
+    return migrated;
   }
 
   /**
@@ -99,6 +379,7 @@ export default class Embed {
     const oldView = this.element;
 
     if (oldView) {
+      this._cleanup();
       oldView.parentNode.replaceChild(this.render(), oldView);
     }
   }
@@ -127,15 +408,47 @@ export default class Embed {
       input: this.api.styles.input,
       container: 'embed-tool',
       containerLoading: 'embed-tool--loading',
+      containerError: 'embed-tool--error',
       preloader: 'embed-tool__preloader',
       caption: 'embed-tool__caption',
       url: 'embed-tool__url',
       content: 'embed-tool__content',
+      responsive: 'embed-tool__responsive',
+      error: 'embed-tool__error',
+      errorText: 'embed-tool__error-text',
+      retryBtn: 'embed-tool__retry-btn',
+      facade: 'embed-tool__facade',
+      playBtn: 'embed-tool__play-btn',
+      consent: 'embed-tool__consent',
+      consentText: 'embed-tool__consent-text',
+      consentBtn: 'embed-tool__consent-btn',
+      playback: 'embed-tool__playback',
+      playbackField: 'embed-tool__playback-field',
+      playbackApply: 'embed-tool__playback-apply',
+      collection: 'embed-tool__collection',
+      item: 'embed-tool__item',
+      itemActive: 'embed-tool__item--active',
+      itemDragged: 'embed-tool__item--dragged',
+      itemBar: 'embed-tool__item-bar',
+      itemHandle: 'embed-tool__item-handle',
+      itemRemove: 'embed-tool__item-remove',
+      player: 'embed-tool__player',
+      playlistBtn: 'embed-tool__playlist-btn',
+      carouselBtn: 'embed-tool__carousel-btn',
+      widget: 'embed-tool__widget',
+      status: 'embed-tool__status',
 
       form: 'embed-tool__form',
+      urlInput: 'embed-tool__url-input',
       img: 'embed-tool__img',
       text: 'embed-tool__text',
       card: 'embed-tool__card',
+      cardBody: 'embed-tool__card-body',
+      cardTitle: 'embed-tool__card-title',
+      cardIcon: 'embed-tool__card-icon',
+      cardDescription: 'embed-tool__card-description',
+      cardSite: 'embed-tool__card-site',
+      cardSiteIcon: 'embed-tool__card-site-icon',
       refreshBtn: 'embed-tool__refresh-btn',
       flex_row: 'embed-tool__flex_row',
       flex_column: 'embed-tool__flex_column',
@@ -151,9 +464,10 @@ export default class Embed {
   render() {
     const { service, source, caption: _caption } = this.data;
 
+    const theme = `${this.CSS.container}--theme-${getTheme(this.config.theme)}`;
     const container = service
-      ? this._createElement('div', [this.CSS.baseClass, this.CSS.container, this.CSS.containerLoading])
-      : this._createElement('div', [this.CSS.baseClass, this.CSS.container]);
+      ? this._createElement('div', [this.CSS.baseClass, this.CSS.container, theme, this.CSS.containerLoading])
+      : this._createElement('div', [this.CSS.baseClass, this.CSS.container, theme]);
 
     // form
     const form = this._createForm(source);
@@ -162,53 +476,90 @@ export default class Embed {
     form.addEventListener('submit', this._onSubmitEvent);
 
     container.appendChild(form);
+    container.appendChild(this._createStatus());
+
+    this._applyTunes(container);
+
+    if (isCollection(this.data)) {
+      return this._renderCollection(container);
+    }
 
     if (!service) {
         this.element = container
         return container
     }
 
+    this._setState(container, 'loading');
+
+    if (this._isRejected(source)) {
+        this._setState(container, 'failed');
+        container.appendChild(this._createElement('div', this.CSS.error, {
+          textContent: this._t('rejectedUrl'),
+        }));
+
+        this.element = container;
+
+        return container;
+    }
+
     // preloader and caption
     const preloader = this.createPreloader(source);
-    const caption = this._createElement('input', [this.CSS.input, this.CSS.caption], {
-        disabled: this.readOnly,
-        value: _caption || '',
-        placeholder: '설명을 입력하세요.',
-    });
+    const caption = this._createCaption(_caption);
 
     container.appendChild(preloader)
 
     // embed
-    if (service !== 'etc') {
-        const { html, embed } = this._getEmbedData(service, source);
+    if (service !== 'etc' && service !== 'oembed') {
+        container.appendChild(this._createServiceContent(this.data, container));
+        container.appendChild(caption);
 
-        const template = this._createElement('template');
+        if (!this.readOnly && Embed.services[service].playback) {
+          container.appendChild(this._createPlaybackPanel(Embed.services[service].playback.options));
+        }
+    }
 
-        template.innerHTML = html;
-        template.content.firstChild.setAttribute('src', embed);
-        template.content.firstChild.classList.add(this.CSS.content);
+    // oEmbed
+    if (service === 'oembed') {
+        container.appendChild(this._createDeferredContent(this._createOEmbedContent(this.data, container), this.data, container));
+        container.appendChild(caption);
+    }
 
-        this.embedIsReady(container)
-          .then(() => container.classList.remove(this.CSS.containerLoading));
+    // saved card
+    if (service === 'etc' && this.data.og) {
+        this._setState(container, 'loaded');
 
-        container.appendChild(template.content.firstChild);
+        container.appendChild(this._createCard(completeOgData(this.data.og)));
         container.appendChild(caption);
     }
 
-    // card
-    if (service === 'etc') {
-        this._getOgData(source)
-          .then((response) => {
-            const template = this._createOgCard(response);
+    // oEmbed or card
+    if (service === 'etc' && !this.data.og) {
+        this._getOEmbedData(source)
+          .catch(() => null)
+          .then((oembed) => {
+            if (oembed) {
+              this._setOEmbedData(oembed);
+
+              container.appendChild(this._createDeferredContent(this._createOEmbedContent(this.data, container), this.data, container));
+              container.appendChild(caption);
 
-            container.classList.remove(this.CSS.containerLoading);
+              return;
+            }
 
-            container.appendChild(template);
-            container.appendChild(caption);
+            return this._getOgData(source)
+              .then((response) => {
+                const template = this._createCard(response);
+
+                this._data.og = response;
+
+                this._setState(container, 'loaded');
+
+                container.appendChild(template);
+                container.appendChild(caption);
+              });
           })
-          .catch((err) => {
-            const message = preloader.firstChild
-            message.textContent = err
+          .catch((error) => {
+            this._showError(container, 'failed', this._t('invalidUrl'), error);
           })
     }
 
@@ -218,356 +569,1631 @@ export default class Embed {
   }
 
   /**
-   * @param service
-   * @param source
+   * @param {string} [value] - saved caption
+   * @returns {HTMLElement}
    */
-  _getEmbedData(service, source) {
-    const { html, regex, embedUrl, id = (ids) => ids.shift() } = Embed.services[service];
-    const result = regex.exec(source).slice(1);
-
-    const embed = embedUrl.replace(/<%= remote_id %>/g, id(result));
+  _createCaption(value) {
+    const caption = this._createElement('input', [this.CSS.input, this.CSS.caption], {
+      disabled: this.readOnly,
+      value: value || '',
+      placeholder: this._t('captionPlaceholder'),
+    });
 
-    this.data.embed = embed;
+    caption.setAttribute('aria-label', this._t('captionLabel'));
 
-    return {
-      html,
-      embed,
-    };
+    return caption;
   }
 
   /**
-   * @param source
+   * Render gallery, carousel or playlist of several links. Links of services which are not available are skipped
+   *
+   * @param {HTMLElement} container - block container with the form
+   * @returns {HTMLElement}
    */
-  async _getOgData(source) {
-    const url = encodeURI(source);
-    const response = await fetch('https://public-api.medistream.co.kr/og/?url=' + url);
+  _renderCollection(container) {
+    const { layout, items, caption } = this.data;
+    const collection = this._createElement('div', [this.CSS.collection, `${this.CSS.collection}--${layout}`]);
+    const indexes = items
+      .map((item, index) => index)
+      .filter((index) => Embed.services[items[index].service]);
 
-    if (response.status !== 200) {
-      return Promise.reject('잘못된 URL입니다.')
+    this._setState(container, 'loaded');
+
+    if (layout === 'playlist') {
+      const active = indexes.includes(this._activeItem) ? this._activeItem : indexes[0];
+      const player = this._createElement('div', this.CSS.player);
+
+      if (active !== undefined) {
+        player.appendChild(this._createServiceContent(items[active], null, player));
+      }
+
+      indexes.forEach((index) => {
+        const button = this._createElement('button', this.CSS.playlistBtn, {
+          type: 'button',
+          textContent: getItemLabel(items[index]),
+        });
+        const element = this._createCollectionItem(index, button);
+
+        element.classList.toggle(this.CSS.itemActive, index === active);
+        button.setAttribute('aria-current', String(index === active));
+
+        button.addEventListener('click', () => {
+          this._activeItem = index;
+
+          collection
+            .querySelectorAll(`.${this.CSS.item}`)
+            .forEach((item) => {
+              item.classList.toggle(this.CSS.itemActive, item === element);
+              item.querySelector(`.${this.CSS.playlistBtn}`).setAttribute('aria-current', String(item === element));
+            });
+
+          player.innerHTML = '';
+          player.appendChild(this._createServiceContent(items[index], null, player));
+        });
+
+        collection.appendChild(element);
+      });
+
+      container.appendChild(player);
+    } else {
+      indexes.forEach((index) => {
+        collection.appendChild(this._createCollectionItem(index, this._createServiceContent(items[index], null, collection)));
+      });
     }
 
-    const {
-      ogTitle,
-      ogDescription,
-      ogImage,
-      ogUrl,
-      ogSiteName,
-      twitterTitle,
-      twitterDescription,
-      twitterImage,
-      twitterSite,
-      requestUrl,
-      favicon
-    } = await response.json();
+    container.appendChild(collection);
 
-    return {
-      ogTitle: ogTitle || twitterTitle || '',
-      ogDescription: ogDescription || twitterDescription || '',
-      ogImageUrl: ogImage?.url || twitterImage?.url || '',
-      ogUrl: ogUrl || requestUrl || '',
-      ogIcon: favicon?.includes('https://') ? favicon :  '',
-      ogSiteName: ogSiteName || twitterSite || ogTitle || twitterTitle || ''
-    };
+    if (layout === 'carousel' && indexes.length > 1) {
+      ['previous', 'next'].forEach((direction) => {
+        const button = this._createElement('button', [this.CSS.carouselBtn, `${this.CSS.carouselBtn}--${direction}`], {
+          type: 'button',
+          title: this._t(direction),
+        });
+
+        button.setAttribute('aria-label', this._t(direction));
+
+        button.addEventListener('click', () => {
+          collection.scrollBy({
+            left: (direction === 'next' ? 1 : -1) * collection.clientWidth,
+            behavior: 'smooth',
+          });
+        });
+
+        container.appendChild(button);
+      });
+    }
+
+    container.appendChild(this._createCaption(caption));
+
+    this.element = container;
+
+    return container;
   }
 
   /**
-   * @param url
+   * Wrap collection item content. In edit mode the item can be dragged by the handle and removed.
+   * Focused handle moves the item with arrow keys
+   *
+   * @param {number} index - item index
+   * @param {HTMLElement} content - item content
+   * @returns {HTMLElement}
    */
-  _checkedUrl(url) {
-    let service = '';
+  _createCollectionItem(index, content) {
+    const element = this._createElement('div', this.CSS.item);
+
+    if (!this.readOnly) {
+      const bar = this._createElement('div', this.CSS.itemBar);
+      const handle = this._createElement('span', this.CSS.itemHandle, {
+        draggable: true,
+        tabIndex: 0,
+        title: this._t('moveItem'),
+      });
+      const remove = this._createElement('button', this.CSS.itemRemove, {
+        type: 'button',
+        title: this._t('removeItem'),
+      });
 
-    const patterns = {
-      ...Embed.patterns,
-      // eslint-disable-next-line
-      etc: /(?:http[s]?:\/\/)|(?:www\.)([a-zA-Z0-9\-\._\?\,\'\/\\\+&%\$#\=~:]+)/
-    };
+      handle.dataset.index = String(index);
+      handle.setAttribute('role', 'button');
+      handle.setAttribute('aria-label', this._t('moveItem'));
+      remove.setAttribute('aria-label', this._t('removeItem'));
+
+      handle.addEventListener('keydown', (event) => {
+        const step = {
+          ArrowUp: -1,
+          ArrowLeft: -1,
+          ArrowDown: 1,
+          ArrowRight: 1,
+        }[event.key];
+
+        if (!step || !this.data.items[index + step]) {
+          return;
+        }
 
-    Object.entries(patterns)
-      .some(([key, value]) => {
-        if (value.test(url)) {
-          service = key;
+        event.preventDefault();
+        event.stopPropagation();
 
-          return true;
+        this._moveItem(index, index + step);
+
+        const moved = this.element.querySelector(`.${this.CSS.itemHandle}[data-index="${index + step}"]`);
+
+        if (moved) {
+          moved.focus();
         }
+      });
 
-        return false;
+      /**
+       * Custom data type, so Editor.js does not paste the item when it is dropped outside of the block
+       */
+      handle.addEventListener('dragstart', (event) => {
+        this._dragItem = index;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('application/x-embed-item', String(index));
+        event.dataTransfer.setDragImage(element, 0, 0);
+        element.classList.add(this.CSS.itemDragged);
       });
 
-    this.data = {
-      service,
-      source: url,
-    };
-  }
+      handle.addEventListener('dragend', () => {
+        this._dragItem = undefined;
+        element.classList.remove(this.CSS.itemDragged);
+      });
 
-  /**
-   * @param tagName
-   * @returns {HTMLElement}
-   */
-  _createElement(tagName, classList, attributes) {
-    const element = document.createElement(tagName);
+      element.addEventListener('dragover', (event) => {
+        if (this._dragItem !== undefined) {
+          event.preventDefault();
+        }
+      });
 
-    if (Array.isArray(classList)) {
-      element.classList.add(...classList);
-    } else if (typeof classList === 'string') {
-      element.classList.add(classList);
-    }
+      element.addEventListener('drop', (event) => {
+        if (this._dragItem === undefined) {
+          return;
+        }
 
-    if (attributes) {
-      Object.entries(attributes)
-      .forEach(([key, value]) => {
-        if (!key) return;
+        event.preventDefault();
+        event.stopPropagation();
 
-        element[key] = value
+        this._moveItem(this._dragItem, index);
       });
+
+      remove.addEventListener('click', () => this._removeItem(index));
+
+      bar.appendChild(handle);
+      bar.appendChild(remove);
+      element.appendChild(bar);
     }
 
+    element.appendChild(content);
+
     return element;
   }
 
   /**
-   * @param source
+   * @param {number} from - index of the item to move
+   * @param {number} to - index to move the item to
    */
-  _createForm(source) {
-    const form = this._createElement('form', this.CSS.form);
+  _moveItem(from, to) {
+    const { items } = this.data;
 
-    const input = this._createElement('input', this.CSS.input, {
-      disabled: this.readOnly,
-      value: source || '',
-      placeholder: 'URL 을 입력하세요.',
-      style: 'border: 1px solid #E1E4EC; background-color: #F1F3F8;'
-    });
+    if (this._activeItem === from) {
+      this._activeItem = to;
+    }
 
-    const button = this._createElement('button', [this.CSS.refreshBtn], {
-      disabled: this.readOnly,
-      type: 'submit',
-      innerHTML: refreshIcon
-    });
+    this._dragItem = undefined;
+    this.data = {
+      ...this.data,
+      items: moveItem(items, from, to),
+    };
+  }
 
-    form.appendChild(input);
-    form.appendChild(button);
+  /**
+   * @param {number} index - index of the item to remove
+   */
+  _removeItem(index) {
+    if (this._activeItem > index) {
+      this._activeItem -= 1;
+    }
 
-    return form;
+    this.data = {
+      ...this.data,
+      items: this.data.items.filter((item, itemIndex) => itemIndex !== index),
+    };
   }
 
-  _onPasteEvent = (event) => {
-    const url = (event.clipboardData || window.clipboardData).getData('text');
-    this._checkedUrl(url);
+  /**
+   * Add links of known services to the collection
+   *
+   * @param {string} text - links, one per line
+   */
+  _addItems(text) {
+    const items = getCollectionItems(text, Embed.services, this.config);
+
+    if (!items.length) {
+      return;
+    }
+
+    this.data = {
+      ...this.data,
+      items: this.data.items.concat(items),
+    };
   }
 
-  _onSubmitEvent = (event) => {
-    event.preventDefault();
+  /**
+   * Switch block between single link and several links layouts.
+   * The link of single block becomes the first item and vice versa
+   *
+   * @param {string} layout - single, gallery, carousel or playlist
+   */
+  _setLayout(layout) {
+    const { service, source, embed, width, height, playback, items, layout: current, ...rest } = this.data;
 
-    const url = event.target[0].value;
-    this._checkedUrl(url);
+    if (layout === (current || 'single')) {
+      return;
+    }
+
+    if (layout === 'single') {
+      this.data = {
+        ...rest,
+        ...(items[0] || {}),
+      };
+
+      return;
+    }
+
+    this.data = {
+      ...rest,
+      layout,
+      items: items || (service && Embed.services[service]
+        ? [ {
+          service,
+          source,
+          embed,
+          width,
+          height,
+        } ]
+        : []),
+    };
   }
 
   /**
-   * Creates preloader to append to container while data is loading
+   * Create iframe or widget of the service with lazy loading and consent placeholders
    *
-   * @param source
-   * @param textContent
+   * @param {EmbedData} data - block data or collection item
+   * @param {HTMLElement} [container] - block container to report loading state to
+   * @param {HTMLElement} [root] - element the content is inserted to, block container by default
    * @returns {HTMLElement}
    */
-  createPreloader(textContent) {
-    const preloader = this._createElement('preloader', this.CSS.preloader);
-    const url = this._createElement('div', this.CSS.url, {
-      textContent
-    });
+  _createServiceContent(data, container, root = container) {
+    const { service, source } = data;
 
-    preloader.appendChild(url);
+    if (Embed.services[service].widget && this.config.scripts !== false) {
+      return this._createWidgetContent(data, container, root);
+    }
 
-    return preloader;
+    const { html, embed, width, height, policy } = this._getEmbedData(service, source, data);
+
+    const template = this._createElement('template');
+
+    template.innerHTML = html;
+
+    const frame = template.content.firstChild;
+
+    frame.setAttribute('src', embed);
+    frame.setAttribute('title', this._getFrameTitle(service, source));
+    this._applyPolicy(frame, policy);
+
+    this._watchFrame(container, frame, Embed.services[service].timeout);
+
+    const content = this._createResponsiveContent(frame, { width, height });
+    const frameData = {
+      service,
+      source,
+      embed,
+      width,
+      height,
+    };
+
+    return this._createDeferredContent(content, frameData, container);
   }
 
   /**
-   * @param ogTitle
-   * @param ogDescription
-   * @param ogImageUrl
-   * @param ogUrl
+   * Create official embed markup of the service. Loader script is added once the markup is inserted,
+   * so lazy loading and consent placeholders hold it back
+   *
+   * @param {EmbedData} data - block data or collection item
+   * @param {HTMLElement} [container] - block container to report loading state to
+   * @param {HTMLElement} [root] - element the content is inserted to
    * @returns {HTMLElement}
    */
-  _createOgCard({ ogTitle, ogDescription, ogImageUrl, ogUrl, ogIcon, ogSiteName }) {
-    const card = this._createElement('a', this.CSS.card, {
-      style: 'text-decoration: none;'
+  _createWidgetContent(data, container, root) {
+    const { service, source } = data;
+    const { widget } = Embed.services[service];
+    const element = this._createElement('div', [this.CSS.content, this.CSS.widget], {
+      innerHTML: widget.html(getMatch(Embed.services[service], source).groups),
     });
 
-    const cardContent = this._createElement('div', [this.CSS.flex_column], {
-      style: 'padding: 16px;'
-    })
+    /**
+     * Iframe URL is kept in data for rendering without scripts
+     */
+    this._getEmbedData(service, source, data);
 
-    const cardWrapper = this._createElement('div')
+    const delay = Embed.services[service].timeout || this.config.timeout || DEFAULT_TIMEOUT;
 
-    const cardTitle = this._createElement('div', [this.CSS.flex_row], {
-      href: ogUrl,
-    })
+    let started = false;
+    let observer = null;
 
-    const title = this._createElement('span', [this.CSS.text, this.CSS.hov_underline], {
-      innerText: ogTitle,
-      style: 'font-size: 14px; -webkit-line-clamp: 1;'
-    });
+    const load = () => {
+      if (started || (root && !root.contains(element))) {
+        return;
+      }
 
-    const titleIcon = this._createElement('img', [], {
-      src: ogIcon,
-      style: 'width: 16px; height: 16px; margin-right: 8px;'
-    })
+      started = true;
 
-    const description = this._createElement('span', [this.CSS.text], {
-      innerText: ogDescription,
-      style: 'font-size: 12px; margin-top: 4px;'
-    });
+      if (observer) {
+        observer.disconnect();
+      }
 
-    const cardSite = this._createElement('div', [this.CSS.flex_row], {
-      style: 'font-size: 12px; white-space: normal;'
-    })
+      const timer = container && setTimeout(() => {
+        this._showError(container, 'timed-out', this._t('loadTimeout'), new Error(`Widget script was not loaded in ${delay}ms`));
+      }, delay);
 
-    const siteName = this._createElement('span', [], {
-      innerText: ogSiteName
-    })
+      this._onCleanup(() => clearTimeout(timer));
 
-    const siteNameIcon = this._createElement('img', [], {
-      src: ogIcon,
-      style: 'width: 12px; height: 12px; margin-right: 4px;'
-    })
+      loadScript(widget.script)
+        .then(() => {
+          clearTimeout(timer);
+          widget.process(element);
 
-    const image = this._createElement('div', this.CSS.img, {
-      style: `background-image: url(${ogImageUrl})`
-    })
+          if (container && container.dataset.state === 'loading') {
+            this._setState(container, 'loaded');
+          }
+        })
+        .catch((error) => {
+          clearTimeout(timer);
 
-    if (ogIcon) {
-      cardTitle.appendChild(titleIcon)
-      cardSite.appendChild(siteNameIcon)
+          if (container) {
+            this._showError(container, 'failed', this._t('scriptError'), error);
+          }
+        });
+    };
+
+    if (root) {
+      observer = new MutationObserver(load);
+      observer.observe(root, {
+        childList: true,
+        subtree: true,
+      });
+      this._onCleanup(() => observer.disconnect());
     }
 
-    cardTitle.appendChild(title)
-    cardSite.appendChild(siteName)
+    load();
 
-    cardWrapper.appendChild(cardTitle)
-    cardWrapper.appendChild(description)
+    const widgetData = {
+      service,
+      source,
+      embed: widget.script,
+    };
 
-    cardContent.appendChild(cardWrapper)
-    cardContent.appendChild(cardSite)
+    return this._createDeferredContent(element, widgetData, container);
+  }
 
-    card.appendChild(cardContent)
-    card.appendChild(image)
+  /**
+   * Compose embed URL and dimensions of the service content and keep them in data
+   *
+   * @param {string} service - service name
+   * @param {string} source - resource URL
+   * @param {EmbedData} [data] - block data or collection item to update
+   * @returns {object}
+   */
+  _getEmbedData(service, source, data = this.data) {
+    const { html, policy, regex } = Embed.services[service];
+
+    /**
+     * Data migrated from older versions may have embed URL as source
+     */
+    const embed = regex.test(source)
+      ? getEmbedUrl(Embed.services[service], source, {
+        privacyMode: this.config.privacyMode,
+        playback: data.playback,
+      })
+      : data.embed;
+    const {
+      width = data.width,
+      height = data.height,
+    } = Embed.services[service];
 
-    return card;
+    data.embed = embed;
+    data.width = width;
+    data.height = height;
+
+    return {
+      html,
+      embed,
+      width,
+      height,
+      policy,
+    };
   }
 
   /**
-   * Save current content and return EmbedData object
+   * Set sandbox and permissions attributes of the iframe
    *
-   * @returns {EmbedData}
+   * @param {HTMLElement} iframe - embedded content iframe
+   * @param {Policy} [policy] - service policy
    */
-  save() {
-    return this.data;
+  _applyPolicy(iframe, policy) {
+    const attributes = getPolicyAttributes(policy, this.config.policy);
+
+    Object.entries(attributes)
+      .forEach(([name, value]) => iframe.setAttribute(name, value));
   }
 
   /**
-   * Analyze provided config and make object with services to use
+   * Block tunes for alignment, width, link card style and variant, and layout
    *
-   * @param {EmbedConfig} config - configuration of embed block element
+   * @returns {Array<object>} - Editor.js menu items
    */
-  static prepare({ config = {} }) {
-    const { services = {} } = config;
+  renderSettings() {
+    if (this.readOnly) {
+      return [];
+    }
 
-    let entries = Object.entries(SERVICES);
+    const { service } = this.data;
+    const tunes = Object.entries(TUNES)
+      .filter(([name]) => !CARD_TUNES.includes(name) || service === 'etc')
+      .reduce((items, [name, options]) => items.concat(options.map(({ value, label, icon }) => ({
+        icon,
+        label: this._t(label),
+        toggle: name,
+        closeOnActivate: true,
+        isActive: (this._data[name] || options[0].value) === value,
+        onActivate: () => {
+          this._data[name] = value;
+
+          /**
+           * Custom card may depend on the variant, so it is rendered again
+           */
+          if (name === 'cardVariant' && this.config.renderCard instanceof Function && this.element) {
+            this.data = { ...this.data };
+          } else if (this.element) {
+            this._applyTunes(this.element);
+          }
+        },
+      }))), []);
+
+    if (service && !(Embed.services && Embed.services[service])) {
+      return tunes;
+    }
 
-    const enabledServices = Object
-      .entries(services)
-      .filter(([key, value]) => {
-        return typeof value === 'boolean' && value === true;
-      })
-      .map(([ key ]) => key);
+    return tunes.concat(LAYOUT_TUNES.map(({ value, label, icon }) => ({
+      icon,
+      label: this._t(label),
+      toggle: 'layout',
+      closeOnActivate: true,
+      isActive: (this._data.layout || 'single') === value,
+      onActivate: () => this._setLayout(value),
+    })));
+  }
 
-    const userServices = Object
-      .entries(services)
-      .filter(([key, value]) => {
-        return typeof value === 'object';
-      })
-      .filter(([key, service]) => Embed.checkServiceConfig(service))
-      .map(([key, service]) => {
-        const { regex, embedUrl, html, id } = service;
-
-        return [key, {
-          regex,
-          embedUrl,
-          html,
-          id,
-        } ];
-      });
+  /**
+   * Create panel with playback options of video service. Applying options reloads the player
+   *
+   * @param {string[]} options - options supported by the service
+   * @returns {HTMLElement}
+   */
+  _createPlaybackPanel(options) {
+    const playback = this._data.playback || {};
+    const panel = this._createElement('details', this.CSS.playback);
+    const fields = {};
+
+    panel.appendChild(this._createElement('summary', [], {
+      textContent: this._t('playback'),
+    }));
+
+    options.forEach((option) => {
+      const label = this._createElement('label', this.CSS.playbackField);
+      const isTime = option === 'start' || option === 'end';
+      const input = isTime
+        ? this._createElement('input', this.CSS.input, {
+          value: formatTime(playback[option]),
+          placeholder: '0:00',
+        })
+        : this._createElement('input', [], {
+          type: 'checkbox',
+          checked: option === 'controls' ? playback.controls !== false : Boolean(playback[option]),
+        });
+
+      label.appendChild(input);
+      label.appendChild(this._createElement('span', [], {
+        textContent: this._t(isTime ? `${option}Time` : option),
+      }));
+      panel.appendChild(label);
+
+      fields[option] = input;
+    });
+
+    const apply = this._createElement('button', [this.api.styles.button, this.CSS.playbackApply], {
+      type: 'button',
+      textContent: this._t('applyPlayback'),
+    });
+
+    apply.addEventListener('click', () => {
+      const value = (option) => fields[option] && (fields[option].type === 'checkbox'
+        ? fields[option].checked
+        : parseTime(fields[option].value));
+      const start = value('start');
+      const end = value('end');
+      const result = pickPlayback({
+        start: start || undefined,
+        end: end && end > (start || 0) ? end : undefined,
+        autoplay: value('autoplay') || undefined,
+        mute: value('mute') || undefined,
+        loop: value('loop') || undefined,
+        controls: value('controls') === false ? false : undefined,
+      }, options);
+
+      this.data = {
+        ...this.data,
+        playback: Object.keys(result).length ? result : undefined,
+      };
+    });
+
+    panel.appendChild(apply);
+
+    return panel;
+  }
+
+  /**
+   * Reflect tunes of the block in container classes
+   *
+   * @param {HTMLElement} container - block container
+   */
+  _applyTunes(container) {
+    Object.entries(TUNES)
+      .forEach(([name, options]) => {
+        const active = this._data[name] || options[0].value;
+        const modifier = name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+
+        options
+          .slice(1)
+          .forEach(({ value }) => {
+            container.classList.toggle(`${this.CSS.container}--${modifier}-${value}`, value === active);
+          });
+      });
+  }
+
+  /**
+   * Set loading state of the block: loading, loaded, timed-out or failed
+   *
+   * @param {HTMLElement} container - block container
+   * @param {string} state - block state
+   */
+  _setState(container, state) {
+    const status = container.querySelector(`.${this.CSS.status}`);
+
+    container.dataset.state = state;
+    container.classList.toggle(this.CSS.containerLoading, state === 'loading');
+    container.classList.toggle(this.CSS.containerError, state === 'failed' || state === 'timed-out');
+
+    /**
+     * Errors are announced by the error message itself
+     */
+    if (status) {
+      status.textContent = ['loading', 'loaded'].includes(state) ? this._t(state) : '';
+    }
+  }
+
+  /**
+   * Create visually hidden live region announcing loading state to screen readers
+   *
+   * @returns {HTMLElement}
+   */
+  _createStatus() {
+    const status = this._createElement('div', this.CSS.status);
+
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+
+    return status;
+  }
+
+  /**
+   * Get accessible name of the embedded content frame
+   *
+   * @param {string} service - service name
+   * @param {string} source - resource URL
+   * @returns {string}
+   */
+  _getFrameTitle(service, source) {
+    const { title } = (Embed.services && Embed.services[service]) || {};
+
+    return this._t('frameTitle').replace('{service}', title || getHostname(source) || service);
+  }
+
+  /**
+   * Wait for the iframe to load once it is inserted into the block.
+   * Lazy loading and consent placeholders insert it later, so the timer starts then
+   *
+   * @param {HTMLElement} container - block container
+   * @param {HTMLElement} frame - embedded content iframe or image
+   * @param {number} [timeout] - service timeout, ms
+   */
+  _watchFrame(container, frame, timeout) {
+    if (!container) {
+      return;
+    }
+
+    const delay = timeout || this.config.timeout || DEFAULT_TIMEOUT;
+
+    let timer = null;
+
+    frame.addEventListener('load', () => {
+      clearTimeout(timer);
+
+      if (container.dataset.state === 'loading') {
+        this._setState(container, 'loaded');
+      }
+    });
+
+    this._whenInserted(container, frame, () => {
+      timer = setTimeout(() => {
+        this._showError(container, 'timed-out', this._t('loadTimeout'), new Error(`Content was not loaded in ${delay}ms`));
+      }, delay);
+    });
+
+    this._onCleanup(() => clearTimeout(timer));
+  }
+
+  /**
+   * Call the function once the element is inserted into the block, e.g. after lazy loading and consent placeholders.
+   * Without the block container it is called at once
+   *
+   * @param {HTMLElement} [container] - block container
+   * @param {HTMLElement} element - element to wait for
+   * @param {Function} callback - function to call
+   */
+  _whenInserted(container, element, callback) {
+    let done = false;
+    let observer = null;
+
+    const check = () => {
+      if (done || (container && !container.contains(element))) {
+        return;
+      }
+
+      done = true;
+
+      if (observer) {
+        observer.disconnect();
+      }
+
+      callback();
+    };
+
+    check();
+
+    if (done) {
+      return;
+    }
+
+    observer = new MutationObserver(check);
+    observer.observe(container, {
+      childList: true,
+      subtree: true,
+    });
+
+    this._onCleanup(() => observer.disconnect());
+  }
+
+  /**
+   * Keep function stopping timers and observers of the current view. They are stopped when the block is rendered again
+   *
+   * @param {Function} cleanup - function to call
+   */
+  _onCleanup(cleanup) {
+    this._cleanups.push(cleanup);
+  }
+
+  /**
+   * Stop timers and observers of the previous view
+   */
+  _cleanup() {
+    this._cleanups.splice(0).forEach((cleanup) => cleanup());
+  }
+
+  /**
+   * Replace block content with error message and retry button, notify host app
+   *
+   * @param {HTMLElement} container - block container
+   * @param {string} state - failed or timed-out
+   * @param {string} message - user-facing error message
+   * @param {Error} [error] - cause of the failure
+   */
+  _showError(container, state, message, error) {
+    const { service, source } = this._data;
+    const { onError } = this.config;
+
+    /**
+     * Failures of replaced views are not reported, the block shows another content now.
+     * Each view reports one failure, e.g. script error after its timeout is ignored
+     */
+    if (this.element !== container || container.dataset.state !== 'loading') {
+      return;
+    }
+
+    container
+      .querySelectorAll(`.${this.CSS.preloader}, .${this.CSS.content}, .${this.CSS.error}`)
+      .forEach((element) => element.remove());
+
+    const wrapper = this._createElement('div', this.CSS.error);
+
+    wrapper.setAttribute('role', 'alert');
+    const text = this._createElement('span', this.CSS.errorText, {
+      textContent: message,
+    });
+    const retry = this._createElement('button', this.CSS.retryBtn, {
+      type: 'button',
+      textContent: this._t('retry'),
+    });
+
+    retry.addEventListener('click', () => {
+      if (this.element === container) {
+        this.data = { ...this.data };
+      }
+    });
+
+    wrapper.appendChild(text);
+    wrapper.appendChild(retry);
+
+    container.insertBefore(wrapper, container.querySelector(`.${this.CSS.caption}`));
+
+    this._setState(container, state);
+
+    if (typeof onError === 'function') {
+      onError({
+        service,
+        source,
+        state,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Wrap embedded content with lazy loading preview and consent placeholder.
+   * Nothing is requested from the third-party domain, including the preview image, until consent is given.
+   * The block is shown as loaded while a placeholder waits for the user
+   *
+   * @param {HTMLElement} content - embedded content
+   * @param {EmbedData} data - block data
+   * @param {HTMLElement} [container] - block container to report loading state to
+   * @returns {HTMLElement}
+   */
+  _createDeferredContent(content, data, container) {
+    let show;
+    const shown = new Promise((resolve) => {
+      show = resolve;
+    });
+    const result = this._createConsentContent(this._createLazyContent(content, data, shown), data, show);
+
+    if (container && result !== content) {
+      this._setState(container, 'loaded');
+    }
+
+    return result;
+  }
+
+  /**
+   * Put a lightweight preview instead of the content if lazy loading is enabled for the service.
+   * The content replaces the preview on click or when the preview is scrolled into view
+   *
+   * @param {HTMLElement} content - embedded content
+   * @param {EmbedData} data - block data
+   * @param {Promise} [shown] - resolved when the preview is shown, so its image is not requested behind consent placeholder
+   * @returns {HTMLElement}
+   */
+  _createLazyContent(content, data, shown = Promise.resolve()) {
+    const mode = getLazyMode(this.config.lazy, data.service);
+
+    if (!mode) {
+      return content;
+    }
+
+    const facade = this._createElement('div', [this.CSS.content, this.CSS.facade], {
+      style: getResponsiveStyle(data) || 'aspect-ratio: 16 / 9;',
+    });
+    const button = this._createElement('button', this.CSS.playBtn, {
+      type: 'button',
+      title: this._t('play'),
+    });
+
+    button.setAttribute('aria-label', this._t('play'));
+    facade.appendChild(button);
+
+    let observer = null;
+
+    const load = () => {
+      if (observer) {
+        observer.disconnect();
+      }
+
+      if (facade.parentNode) {
+        facade.parentNode.replaceChild(content, facade);
+      }
+    };
+
+    button.addEventListener('click', load);
+
+    if (mode === 'visible' && typeof IntersectionObserver !== 'undefined') {
+      observer = new IntersectionObserver((entries) => {
+        if (entries.some(({ isIntersecting }) => isIntersecting)) {
+          load();
+        }
+      }, { rootMargin: '200px' });
+
+      observer.observe(facade);
+      this._onCleanup(() => observer.disconnect());
+    } else if (mode === 'visible') {
+      setTimeout(load);
+    }
+
+    shown
+      .then(() => this._getThumbnail(data))
+      .then((thumbnail) => {
+        if (cssUrl(thumbnail)) {
+          facade.style.backgroundImage = `url("${cssUrl(thumbnail)}")`;
+        }
+      })
+      .catch(() => {});
+
+    return facade;
+  }
+
+  /**
+   * Put consent placeholder instead of the content of third-party domain in privacy mode.
+   * Services with privacy-enhanced embed URLs are loaded without consent
+   *
+   * @param {HTMLElement} content - embedded content
+   * @param {EmbedData} data - block data
+   * @param {Function} [onShow] - called when the content is shown
+   * @returns {HTMLElement}
+   */
+  _createConsentContent(content, data, onShow = () => {}) {
+    const options = getPrivacyOptions(this.config.privacyMode);
+    const service = Embed.services[data.service];
+    const domain = getHostname(data.embed);
+
+    if (!options || !domain || (service && service.privacy)) {
+      onShow();
+
+      return content;
+    }
+
+    const placeholder = this._createElement('div', [this.CSS.content, this.CSS.consent], {
+      style: getResponsiveStyle(data) || 'aspect-ratio: 16 / 9;',
+    });
+    const message = this._createElement('p', this.CSS.consentText, {
+      textContent: this._t('consent').replace('{domain}', domain),
+    });
+    const button = this._createElement('button', this.CSS.consentBtn, {
+      type: 'button',
+      textContent: this._t('consentButton'),
+    });
+
+    const load = () => {
+      if (placeholder.parentNode) {
+        placeholder.parentNode.replaceChild(content, placeholder);
+        onShow();
+      }
+    };
+
+    button.addEventListener('click', () => {
+      grantConsent(domain, options);
+      load();
+    });
+
+    placeholder.appendChild(message);
+    placeholder.appendChild(button);
+
+    checkConsent(domain, options)
+      .then((consented) => consented && load())
+      .catch(() => {});
+
+    return placeholder;
+  }
+
+  /**
+   * Get preview image of embedded content: YouTube and Vimeo thumbnails or Open Graph image of the link
+   *
+   * @param {EmbedData} data - block data
+   * @returns {Promise<string>}
+   */
+  async _getThumbnail({ service, source, embed, thumbnail }) {
+    if (thumbnail) {
+      return thumbnail;
+    }
+
+    if (service === 'youtube') {
+      return getYouTubeThumbnail(embed);
+    }
+
+    if (service === 'vimeo') {
+      const oembed = await fetchOEmbed(getVimeoVideoUrl(embed), {
+        providers: [ VIMEO_PROVIDER ],
+      });
+
+      return oembed ? oembed.thumbnailUrl : '';
+    }
+
+    const { ogImageUrl } = await this._getOgData(source);
+
+    return ogImageUrl;
+  }
+
+  /**
+   * Check the link against allowed and blocked domains
+   *
+   * @param {string} source - link to check
+   * @returns {boolean}
+   */
+  _isRejected(source) {
+    const { allowedDomains, blockedDomains } = this.config;
+
+    return !!getRejectionReason(source, {
+      allowedDomains,
+      blockedDomains,
+    });
+  }
+
+  /**
+   * Notify host app about rejection of entered or pasted link. Called once per input, not on every render
+   *
+   * @param {string} source - link to check
+   */
+  _reportRejection(source) {
+    const { allowedDomains, blockedDomains, onReject } = this.config;
+    const reason = getRejectionReason(source, {
+      allowedDomains,
+      blockedDomains,
+    });
+
+    if (reason && typeof onReject === 'function') {
+      onReject(source, reason);
+    }
+  }
+
+  /**
+   * Get link metadata using configured Open Graph API or fetcher
+   *
+   * @param {string} source - link to get metadata of
+   * @returns {Promise<OgData>}
+   */
+  _getOgData(source) {
+    const { ogEndpoint, ogFetcher } = this.config;
+    const load = (url) => fetchOgData(url, {
+      ogEndpoint,
+      ogFetcher,
+    });
+
+    if (!Embed.metadataCache) {
+      return load(source);
+    }
+
+    return Embed.metadataCache.get(source, load)
+      .then((data) => ({ ...data }));
+  }
+
+  /**
+   * Get oEmbed data of the link using configured providers.
+   * Provider endpoints are third-party, so they are not requested in privacy mode
+   *
+   * @param {string} source - link to get oEmbed data of
+   * @returns {Promise<OEmbedData|null>} - null if the link has no oEmbed
+   */
+  _getOEmbedData(source) {
+    const { oembed = {}, privacyMode } = this.config;
+
+    if (oembed === false || getPrivacyOptions(privacyMode)) {
+      return Promise.resolve(null);
+    }
+
+    return fetchOEmbed(source, {
+      providers: Embed.oembedProviders || OEMBED_PROVIDERS,
+      discovery: oembed.discovery,
+      fetch: oembed.fetch,
+      params: oembed.params,
+    });
+  }
+
+  /**
+   * Save resolved oEmbed resource to block data, so it is rendered without requests next time
+   *
+   * @param {OEmbedData} oembed - resolved oEmbed data
+   */
+  _setOEmbedData(oembed) {
+    const html = getOEmbedHtml(oembed);
+
+    this._data = {
+      ...this._data,
+      service: 'oembed',
+      embed: safeUrl(getAttribute(html || '', 'src')),
+      html,
+      thumbnail: oembed.thumbnailUrl,
+      width: oembed.width,
+      height: oembed.height,
+    };
+  }
+
+  /**
+   * Create element with oEmbed markup.
+   * Single iframe or image is created again with safe attributes only, anything else is isolated in a sandboxed frame
+   *
+   * @param {EmbedData} data - block data with oEmbed markup
+   * @returns {HTMLElement}
+   */
+  _createOEmbedContent({ html, width, height, source }, container) {
+    const single = getSingleElement(html);
+
+    if (single) {
+      const { tagName, attributes } = single;
+      const element = this._createElement(tagName);
+
+      if (tagName === 'iframe') {
+        element.src = attributes.src;
+        element.title = attributes.title || this._getFrameTitle('oembed', source);
+        element.frameBorder = 0;
+        this._applyPolicy(element);
+        this._watchFrame(container, element);
+      } else {
+        /**
+         * Detached image is requested as soon as it gets src, so src is set once lazy loading and consent placeholders are gone
+         */
+        element.alt = attributes.alt || '';
+        this._watchFrame(container, element);
+        this._whenInserted(container, element, () => {
+          element.src = attributes.src;
+        });
+      }
+
+      return this._createResponsiveContent(element, { width, height });
+    }
+
+    const frame = this._createElement('iframe', [], {
+      srcdoc: html || '',
+      frameBorder: 0,
+      title: this._getFrameTitle('oembed', source),
+      style: 'width: 100%;',
+    });
+
+    frame.setAttribute('sandbox', 'allow-scripts allow-popups');
+
+    if (height) {
+      frame.height = height;
+    }
+
+    this._watchFrame(container, frame);
+
+    return this._createResponsiveContent(frame, { width, height });
+  }
+
+  /**
+   * Wrap content into container keeping its aspect ratio.
+   * Fixed sizes of the content are dropped, so it is stretched to the container
+   *
+   * @param {HTMLElement} element - iframe or image
+   * @param {object} size - content dimensions
+   * @param {number} [size.width] - content width
+   * @param {number} [size.height] - content height
+   * @returns {HTMLElement}
+   */
+  _createResponsiveContent(element, { width, height }) {
+    if (!hasDimensions(width, height)) {
+      const wrapper = this._createElement('div', this.CSS.content);
+
+      wrapper.appendChild(element);
+
+      return wrapper;
+    }
+
+    const wrapper = this._createElement('div', [this.CSS.content, this.CSS.responsive], {
+      style: getResponsiveStyle({
+        width,
+        height,
+      }),
+    });
+
+    element.removeAttribute('width');
+    element.removeAttribute('height');
+    element.style.removeProperty('width');
+    element.style.removeProperty('height');
+    element.style.removeProperty('aspect-ratio');
+
+    wrapper.appendChild(element);
+
+    return wrapper;
+  }
+
+  /**
+   * Resolve entered link again. Tunes are kept, playback options are kept for the same link only
+   *
+   * @param {string} url - entered link
+   */
+  _checkedUrl(url) {
+    if (isCollection(this.data)) {
+      this._addItems(url);
+
+      return;
+    }
+
+    const { service = '', source = url, width, height } = resolveUrl(url, Embed.services, {
+      normalize: this.config.normalize,
+    }) || {};
+
+    if (service) {
+      this._reportRejection(source);
+    }
+
+    const tunes = Object.keys(TUNES)
+      .filter((name) => this._data[name] !== undefined)
+      .reduce((result, name) => ({
+        ...result,
+        [name]: this._data[name],
+      }), {});
+
+    this.data = {
+      ...tunes,
+      ...(source === this._data.source && this._data.playback ? { playback: this._data.playback } : {}),
+      service,
+      source,
+      width,
+      height,
+    };
+  }
+
+  /**
+   * Handle pasted url and return Service object
+   *
+   * @param {PasteEvent} event - event with pasted data
+   */
+  onPaste(event) {
+    const { key, data } = event.detail;
+
+    /**
+     * Normalized link may match another service, e.g. unwrapped redirector link
+     */
+    const { service = key, source = data, embed, width, height } = resolveUrl(data, Embed.services, {
+      privacyMode: this.config.privacyMode,
+      normalize: this.config.normalize,
+    }) || {};
+
+    this._reportRejection(source);
+
+    if (service === 'etc') {
+      this.data = {
+        service,
+        source,
+      };
+
+      return;
+    }
+
+    this.data = {
+      service,
+      source,
+      embed,
+      width,
+      height,
+    };
+  }
+
+  /**
+   * Get user-facing string: config override or translation of the default one
+   *
+   * @param {string} key - message key from MESSAGES
+   * @returns {string}
+   */
+  _t(key) {
+    const { messages = {} } = this.config;
 
-    if (enabledServices.length) {
-      entries = entries.filter(([ key ]) => enabledServices.includes(key));
+    if (messages[key]) {
+      return messages[key];
     }
 
-    entries = entries.concat(userServices);
+    if (this.api && this.api.i18n) {
+      return this.api.i18n.t(MESSAGES[key]);
+    }
 
-    Embed.services = entries.reduce((result, [key, service]) => {
-      if (!(key in result)) {
-        result[key] = service;
+    return MESSAGES[key];
+  }
 
-        return result;
+  /**
+   * Create element. Extra class names from the config are added to the tool classes
+   *
+   * @param tagName
+   * @returns {HTMLElement}
+   */
+  _createElement(tagName, classList, attributes) {
+    const element = document.createElement(tagName);
+    const classes = [].concat(classList || []);
+
+    if (!this._customClasses) {
+      this._customClasses = getCustomClasses(this.config.classNames, this.CSS);
+    }
+
+    classes
+      .filter((name) => typeof name === 'string' && !!name)
+      .forEach((name) => element.classList.add(name, ...(this._customClasses[name] || [])));
+
+    if (attributes) {
+      Object.entries(attributes)
+      .forEach(([key, value]) => {
+        if (!key) return;
+
+        element[key] = value
+      });
+    }
+
+    return element;
+  }
+
+  /**
+   * @param source
+   */
+  _createForm(source) {
+    const form = this._createElement('form', this.CSS.form);
+
+    const input = this._createElement('input', [this.CSS.input, this.CSS.urlInput], {
+      disabled: this.readOnly,
+      value: source || '',
+      placeholder: this._t(isCollection(this.data) ? 'addUrlPlaceholder' : 'urlPlaceholder'),
+    });
+
+    const button = this._createElement('button', [this.CSS.refreshBtn], {
+      disabled: this.readOnly,
+      type: 'submit',
+      title: this._t('refresh'),
+      innerHTML: refreshIcon
+    });
+
+    input.setAttribute('aria-label', this._t('urlLabel'));
+    button.setAttribute('aria-label', this._t('refresh'));
+    button.querySelector('svg') && button.querySelector('svg').setAttribute('aria-hidden', 'true');
+
+    form.appendChild(input);
+    form.appendChild(button);
+
+    return form;
+  }
+
+  /**
+   * Pasted list of links is split into separate blocks or added to items of gallery, carousel and playlist
+   */
+  _onPasteEvent = (event) => {
+    const url = (event.clipboardData || window.clipboardData).getData('text');
+
+    if (isCollection(this.data)) {
+      event.preventDefault();
+      this._addItems(url);
+
+      return;
+    }
+
+    if (splitPastedText(url).length > 1) {
+      event.preventDefault();
+      this._insertBlocks(getPastedBlocks(url, Embed.services, this.config));
+
+      return;
+    }
+
+    this._checkedUrl(url);
+  }
+
+  /**
+   * Insert pasted blocks after this one. Empty block is replaced with them
+   *
+   * @param {PastedBlock[]} blocks - embed blocks and paragraphs to insert
+   */
+  _insertBlocks(blocks) {
+    const api = this.api.blocks;
+    const index = api.getCurrentBlockIndex();
+    const type = this.block ? this.block.name : 'embed';
+
+    blocks.forEach((block, offset) => {
+      const position = index + offset + 1;
+
+      if (block.type === 'embed') {
+        api.insert(type, block.data, undefined, position, false);
+      } else {
+        api.insert(undefined, { text: escapeHtml(block.text) }, undefined, position, false);
+      }
+    });
+
+    if (!this.data.service) {
+      api.delete(index);
+    }
+  }
+
+  /**
+   * Submitting the form (e.g. with refresh button) drops saved and cached metadata, so the link is resolved and requested again
+   *
+   * @param {Event} event - submit event
+   * @returns {Promise}
+   */
+  _onSubmitEvent = (event) => {
+    event.preventDefault();
+
+    const url = event.target[0].value;
+
+    return Embed.clearCache(normalizeUrl(url, this.config.normalize))
+      .then(() => this._checkedUrl(url));
+  }
+
+  /**
+   * Creates preloader to append to container while data is loading
+   *
+   * @param source
+   * @param textContent
+   * @returns {HTMLElement}
+   */
+  createPreloader(textContent) {
+    const preloader = this._createElement('preloader', this.CSS.preloader);
+    const url = this._createElement('div', this.CSS.url, {
+      textContent
+    });
+
+    preloader.appendChild(url);
+
+    return preloader;
+  }
+
+  /**
+   * Create link card with the renderer from the config. Built-in card is used if the renderer returns nothing
+   *
+   * @param {OgData} ogData - link metadata
+   * @returns {HTMLElement}
+   */
+  _createCard(ogData) {
+    const { renderCard } = this.config;
+
+    if (renderCard instanceof Function) {
+      const card = renderCard(ogData, {
+        variant: getCardVariant(this._data),
+        source: this._data.source,
+        createElement: (tagName, classList, attributes) => this._createElement(tagName, classList, attributes),
+        renderDefault: () => this._createOgCard(ogData),
+        t: (key) => this._t(key),
+        CSS: this.CSS,
+      });
+
+      if (card instanceof Node) {
+        return card;
       }
+    }
+
+    return this._createOgCard(ogData);
+  }
+
+  /**
+   * @param ogTitle
+   * @param ogDescription
+   * @param ogImageUrl
+   * @param ogImageAlt
+   * @param ogUrl
+   * @returns {HTMLElement}
+   */
+  _createOgCard({ ogTitle, ogDescription, ogImageUrl, ogImageAlt, ogUrl, ogIcon, ogSiteName }) {
+    const href = [ogUrl, this.data.source].find((url) => /^https?:\/\//i.test(url || ''));
+    const card = this._createElement('a', this.CSS.card);
+
+    if (href) {
+      card.href = href;
+      card.target = '_blank';
+      card.rel = 'noopener noreferrer';
+    }
+
+    const cardContent = this._createElement('div', [this.CSS.flex_column, this.CSS.cardBody])
+
+    const cardWrapper = this._createElement('div')
+
+    const cardTitle = this._createElement('div', [this.CSS.flex_row])
+
+    const title = this._createElement('span', [this.CSS.text, this.CSS.hov_underline, this.CSS.cardTitle], {
+      innerText: ogTitle,
+    });
+
+    const icon = safeUrl(ogIcon);
+
+    const titleIcon = this._createElement('img', this.CSS.cardIcon, {
+      src: icon,
+      alt: '',
+    })
+
+    const description = this._createElement('span', [this.CSS.text, this.CSS.cardDescription], {
+      innerText: ogDescription,
+    });
+
+    const cardSite = this._createElement('div', [this.CSS.flex_row, this.CSS.cardSite])
+
+    const siteName = this._createElement('span', [], {
+      innerText: ogSiteName
+    })
+
+    const siteNameIcon = this._createElement('img', this.CSS.cardSiteIcon, {
+      src: icon,
+      alt: '',
+    })
+
+    const image = this._createElement('div', this.CSS.img)
+
+    if (cssUrl(ogImageUrl)) {
+      image.style.backgroundImage = `url("${cssUrl(ogImageUrl)}")`;
+    }
+
+    image.setAttribute('role', 'img');
+    image.setAttribute('aria-label', ogImageAlt || ogTitle || '');
+
+    if (icon) {
+      cardTitle.appendChild(titleIcon)
+      cardSite.appendChild(siteNameIcon)
+    }
+
+    cardTitle.appendChild(title)
+    cardSite.appendChild(siteName)
+
+    cardWrapper.appendChild(cardTitle)
+    cardWrapper.appendChild(description)
+
+    cardContent.appendChild(cardWrapper)
+    cardContent.appendChild(cardSite)
+
+    card.appendChild(cardContent)
+    card.appendChild(image)
+
+    return card;
+  }
+
+  /**
+   * Save current content and return EmbedData object
+   *
+   * @returns {EmbedData}
+   */
+  save() {
+    return {
+      ...this.data,
+      version: SCHEMA_VERSION,
+    };
+  }
 
-      result[key] = Object.assign({}, result[key], service);
+  /**
+   * Analyze provided config and make object with services to use
+   *
+   * @param {EmbedConfig} config - configuration of embed block element
+   */
+  static prepare({ config = {} }) {
+    const { services = {}, pasteLinkCard = false, oembed = {}, cache = {} } = config;
 
-      return result;
-    }, {});
+    Embed.services = prepareServices(services);
 
-    Embed.patterns = entries
+    Embed.patterns = Object
+      .entries(Embed.services)
       .reduce((result, [key, item]) => {
         result[key] = item.regex;
 
         return result;
       }, {});
+
+    Embed.oembedProviders = oembed === false
+      ? []
+      : (oembed.providers || []).concat(OEMBED_PROVIDERS);
+
+    Embed.metadataCache = cache === false
+      ? null
+      : createMetadataCache({
+        ttl: cache.ttl > 0 ? cache.ttl : undefined,
+        storage: getCacheStorage(cache.storage),
+      });
+
+    /**
+     * Should be the last one, so known services are matched first
+     */
+    if (pasteLinkCard) {
+      Embed.patterns.etc = ETC_PATTERN;
+    }
   }
 
   /**
-   * Check if Service config is valid
+   * Remove cached link metadata from memory and storage, e.g. when the page was updated
    *
-   * @param {Service} config - configuration of embed block element
-   * @returns {boolean}
+   * @param {string} [url] - link to remove metadata of. All links if omitted
+   * @returns {Promise}
    */
-  static checkServiceConfig(config) {
-    const { regex, embedUrl, html, id } = config;
+  static clearCache(url) {
+    if (!Embed.metadataCache) {
+      return Promise.resolve(null);
+    }
 
-    let isValid = regex && regex instanceof RegExp &&
-      embedUrl && typeof embedUrl === 'string' &&
-      html && typeof html === 'string';
+    return url === undefined ? Embed.metadataCache.clear() : Embed.metadataCache.delete(url);
+  }
 
-    isValid = isValid && (id !== undefined ? id instanceof Function : true);
+  /**
+   * Find out what the link is embedded as without creating a block.
+   * Uses services of the last prepared config or bundled ones
+   *
+   * @param {string} url - link to resolve
+   * @param {object} [options] - privacyMode, allowedDomains, blockedDomains and normalize as in the tool config
+   * @returns {Resolution|null} - null if the text is not a link
+   */
+  static resolve(url, options = {}) {
+    return resolveUrl(url, Embed.services || ACTIVE_SERVICES, options);
+  }
 
-    return isValid;
+  /**
+   * Resolve list of links, e.g. to convert links of imported articles to Embed Tool blocks
+   *
+   * @param {string[]} urls - links to resolve
+   * @param {object} [options] - privacyMode, allowedDomains, blockedDomains and normalize as in the tool config
+   * @returns {Array<Resolution|null>} - results in order of the links
+   */
+  static resolveAll(urls, options = {}) {
+    return urls.map((url) => Embed.resolve(url, options));
   }
 
   /**
-   * Notify core that read-only mode is supported
+   * Upgrade data saved by older versions of the tool or by @editorjs/embed to the current schema
    *
-   * @returns {boolean}
+   * @param {object} data - saved block data
+   * @returns {EmbedData}
    */
-  static get isReadOnlySupported() {
-    return true;
+  static migrateData(data) {
+    return migrateEmbedData(data);
+  }
+
+  /**
+   * Check data of the current schema
+   *
+   * @param {EmbedData} data - block data
+   * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+   */
+  static validateData(data) {
+    return validateEmbedData(data);
   }
 
   /**
-   * Checks that mutations in DOM have finished after appending iframe content
+   * Map raw Open Graph API response to OgData. Useful for custom ogFetcher
    *
-   * @param {HTMLElement} targetNode - HTML-element mutations of which to listen
-   * @returns {Promise<any>} - result that all mutations have finished
+   * @param {object} response - raw metadata with og* and twitter* fields
+   * @returns {OgData}
    */
-  embedIsReady(targetNode) {
-    const PRELOADER_DELAY = 450;
+  static normalizeOgData(response) {
+    return normalizeOgData(response);
+  }
 
-    let observer = null;
+  /**
+   * Paste configuration to enable pasted URLs processing by Editor
+   *
+   * @returns {object} - object of patterns which contain regx for pasteConfig
+   */
+  static get pasteConfig() {
+    return {
+      patterns: Embed.patterns,
+    };
+  }
 
-    return new Promise((resolve, reject) => {
-      observer = new MutationObserver(debounce(resolve, PRELOADER_DELAY));
-      observer.observe(targetNode, {
-        childList: true,
-        subtree: true,
-      });
-    }).then(() => {
-      observer.disconnect();
-    });
+  /**
+   * Check if Service config is valid
+   *
+   * @param {Service} config - configuration of embed block element
+   * @returns {boolean}
+   */
+  static checkServiceConfig(config) {
+    return checkServiceConfig(config);
+  }
+
+  /**
+   * Notify core that read-only mode is supported
+   *
+   * @returns {boolean}
+   */
+  static get isReadOnlySupported() {
+    return true;
   }
 }
@@ -0,0 +1,200 @@
+/**
+ * @typedef {object} NormalizeOptions
+ * @description Options of link normalization
+ * @property {string[]} [trackingParams] - names of additional query params to remove
+ * @property {Function[]} [rules] - custom rules applied after built-in ones. Each receives the link and returns the new link
+ */
+
+/**
+ * Mobile hosts and their canonical hosts, so links of mobile sites match service patterns
+ */
+const MOBILE_HOSTS = {
+  'm.youtube.com': 'www.youtube.com',
+  'mobile.twitter.com': 'twitter.com',
+  'mobile.x.com': 'x.com',
+  'm.facebook.com': 'www.facebook.com',
+  'mobile.facebook.com': 'www.facebook.com',
+  'm.twitch.tv': 'www.twitch.tv',
+  'm.vk.com': 'vk.com',
+  'm.imgur.com': 'imgur.com',
+  'm.soundcloud.com': 'soundcloud.com',
+  'm.tv.naver.com': 'tv.naver.com',
+  'm.tv.kakao.com': 'tv.kakao.com',
+};
+
+/**
+ * Query params used for click tracking only
+ */
+const TRACKING_PARAMS = ['fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', '_ga'];
+
+/**
+ * Get the target of Facebook and Instagram outbound link
+ *
+ * @param {URL} url - parsed link
+ * @returns {string|null}
+ */
+function getOutboundTarget(url) {
+  return /^(l|lm)\.facebook\.com$/.test(url.hostname) || url.hostname === 'l.instagram.com'
+    ? url.searchParams.get('u')
+    : null;
+}
+
+/**
+ * Get the target of Google search result link
+ *
+ * @param {URL} url - parsed link
+ * @returns {string|null}
+ */
+function getGoogleTarget(url) {
+  return /^(www\.)?google\.[a-z.]+$/.test(url.hostname) && url.pathname === '/url'
+    ? url.searchParams.get('q') || url.searchParams.get('url')
+    : null;
+}
+
+/**
+ * Get the target of Google AMP viewer link. /amp/s/ prefix means https
+ *
+ * @param {URL} url - parsed link
+ * @returns {string|null}
+ */
+function getAmpViewerTarget(url) {
+  const match = /^(www\.)?google\.[a-z.]+$/.test(url.hostname) && /^\/amp\/(s\/)?(.+)$/.exec(url.pathname);
+
+  return match ? `${match[1] ? 'https' : 'http'}://${match[2]}${url.search}` : null;
+}
+
+/**
+ * Get the target of AMP cache link
+ *
+ * @param {URL} url - parsed link
+ * @returns {string|null}
+ */
+function getAmpCacheTarget(url) {
+  const match = /\.cdn\.ampproject\.org$/.test(url.hostname) && /^\/[a-z]\/(s\/)?(.+)$/.exec(url.pathname);
+
+  return match ? `${match[1] ? 'https' : 'http'}://${match[2]}${url.search}` : null;
+}
+
+/**
+ * Functions returning the target of redirector or AMP cache link, or null for other links
+ */
+const REDIRECTORS = [getOutboundTarget, getGoogleTarget, getAmpViewerTarget, getAmpCacheTarget];
+
+/**
+ * Add https scheme to links like www.example.com or example.com/page.
+ * Host without path is kept as is, so words like node.js are not turned into links
+ *
+ * @param {string} url - trimmed link
+ * @returns {string}
+ */
+export function addScheme(url) {
+  if (/^[a-z][a-z0-9+.-]*:(?!\d)/i.test(url)) {
+    return url;
+  }
+
+  if (url.startsWith('//')) {
+    return `https:${url}`;
+  }
+
+  const isHost = /^www\.[^\s/?#]+\.[a-z]{2,}([/?#:]|$)/i.test(url) ||
+    /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}(:\d+)?\/\S*$/i.test(url);
+
+  return isHost ? `https://${url}` : url;
+}
+
+/**
+ * Replace mobile host with the canonical one
+ *
+ * @param {string} url - link with scheme
+ * @returns {string}
+ */
+export function canonicalizeHost(url) {
+  return url.replace(/^(https?:\/\/)([^/?#:]+)/i, (link, scheme, host) => scheme + (MOBILE_HOSTS[host.toLowerCase()] || host));
+}
+
+/**
+ * Get the target of redirector and AMP cache links. Nested redirects are unwrapped too
+ *
+ * @param {string} url - link with scheme
+ * @returns {string}
+ */
+export function unwrapRedirect(url) {
+  let result = url;
+
+  for (let depth = 0; depth < 3; depth++) {
+    let parsed;
+
+    try {
+      parsed = new URL(result);
+    } catch (e) {
+      return result;
+    }
+
+    const target = REDIRECTORS
+      .map((redirector) => redirector(parsed))
+      .find((link) => !!link && /^https?:\/\//i.test(link));
+
+    if (!target) {
+      return result;
+    }
+
+    result = target;
+  }
+
+  return result;
+}
+
+/**
+ * Remove tracking params from the query, keeping the rest of the link as is
+ *
+ * @param {string} url - link
+ * @param {string[]} [names] - names of additional params to remove
+ * @returns {string}
+ */
+export function stripTrackingParams(url, names = []) {
+  const [, base, query, hash = ''] = /^([^?#]*)(?:\?([^#]*))?(#.*)?$/.exec(url);
+
+  if (!query) {
+    return url;
+  }
+
+  const isTracking = (pair) => {
+    let name = pair.split('=')[0];
+
+    try {
+      name = decodeURIComponent(name);
+    } catch (e) {}
+
+    return name.startsWith('utm_') || TRACKING_PARAMS.includes(name) || names.includes(name);
+  };
+  const params = query.split('&').filter((pair) => !!pair && !isTracking(pair));
+
+  return base + (params.length ? `?${params.join('&')}` : '') + hash;
+}
+
+/**
+ * Normalize pasted or entered link before matching it against services and requesting its metadata:
+ * trim, add https, unwrap redirectors, replace mobile hosts, strip tracking params and apply custom rules
+ *
+ * @param {string} url - link
+ * @param {NormalizeOptions|boolean} [options] - normalization options or false to trim only
+ * @returns {string}
+ */
+export function normalizeUrl(url, options = {}) {
+  const link = typeof url === 'string' ? url.trim() : '';
+
+  if (!link || options === false || /\s/.test(link)) {
+    return link;
+  }
+
+  const { trackingParams = [], rules = [] } = options instanceof Object ? options : {};
+  const normalized = stripTrackingParams(canonicalizeHost(unwrapRedirect(addScheme(link))), trackingParams);
+
+  return rules
+    .filter((rule) => rule instanceof Function)
+    .reduce((result, rule) => {
+      const value = rule(result);
+
+      return typeof value === 'string' && value.trim() ? value.trim() : result;
+    }, normalized);
+}
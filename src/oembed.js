@@ -0,0 +1,245 @@
+/**
+ * @typedef {object} OEmbedProvider
+ * @description oEmbed provider configuration object
+ * @property {string} name - provider name
+ * @property {string} endpoint - oEmbed API URL. '{format}' is replaced with 'json'
+ * @property {string[]} schemes - URL schemes of provider resources. Use '*' as a wildcard
+ */
+/**
+ * @typedef {object} OEmbedData
+ * @description Normalized oEmbed response
+ * @property {string} type - resource type: photo, video, link or rich
+ * @property {string} html - markup to embed the resource (video and rich types)
+ * @property {string} url - image URL (photo type)
+ * @property {number} [width] - resource width
+ * @property {number} [height] - resource height
+ * @property {string} title - resource title
+ * @property {string} providerName - provider name
+ * @property {string} thumbnailUrl - resource thumbnail URL
+ */
+
+/**
+ * Bundled oEmbed providers. Services from services.js are matched before them
+ *
+ * @type {OEmbedProvider[]}
+ */
+export const PROVIDERS = [
+  {
+    name: 'Flickr',
+    endpoint: 'https://www.flickr.com/services/oembed/',
+    schemes: ['https://*.flickr.com/photos/*', 'https://flic.kr/p/*'],
+  },
+  {
+    name: 'SoundCloud',
+    endpoint: 'https://soundcloud.com/oembed',
+    schemes: [ 'https://soundcloud.com/*' ],
+  },
+  {
+    name: 'Spotify',
+    endpoint: 'https://open.spotify.com/oembed',
+    schemes: [ 'https://open.spotify.com/*' ],
+  },
+  {
+    name: 'Dailymotion',
+    endpoint: 'https://www.dailymotion.com/services/oembed',
+    schemes: ['https://www.dailymotion.com/video/*', 'https://dai.ly/*'],
+  },
+  {
+    name: 'SlideShare',
+    endpoint: 'https://www.slideshare.net/api/oembed/2',
+    schemes: [ 'https://www.slideshare.net/*/*' ],
+  },
+  {
+    name: 'TED',
+    endpoint: 'https://www.ted.com/services/v1/oembed.{format}',
+    schemes: [ 'https://www.ted.com/talks/*' ],
+  },
+  {
+    name: 'Reddit',
+    endpoint: 'https://www.reddit.com/oembed',
+    schemes: [ 'https://www.reddit.com/r/*/comments/*' ],
+  },
+  {
+    name: 'Giphy',
+    endpoint: 'https://giphy.com/services/oembed',
+    schemes: ['https://giphy.com/gifs/*', 'https://media.giphy.com/media/*'],
+  },
+];
+
+/**
+ * Convert provider URL scheme to RegExp
+ *
+ * @param {string} scheme - URL scheme with '*' wildcards
+ * @returns {RegExp}
+ */
+export function schemeToRegExp(scheme) {
+  const pattern = scheme
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Find provider which schemes match the URL
+ *
+ * @param {string} url - resource URL
+ * @param {OEmbedProvider[]} providers - providers to look through
+ * @returns {OEmbedProvider|undefined}
+ */
+export function findProvider(url, providers = PROVIDERS) {
+  return providers.find(({ schemes = [] }) => {
+    return schemes.some((scheme) => schemeToRegExp(scheme).test(url));
+  });
+}
+
+/**
+ * Compose oEmbed API request URL
+ *
+ * @param {string} endpoint - oEmbed API URL
+ * @param {string} url - resource URL
+ * @param {object} [params] - additional query params, e.g. maxwidth
+ * @returns {string}
+ */
+export function buildRequestUrl(endpoint, url, params = {}) {
+  const query = Object.entries({
+    url,
+    format: 'json',
+    ...params,
+  })
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  endpoint = endpoint.replace(/\{format\}/g, 'json');
+
+  return endpoint + (endpoint.includes('?') ? '&' : '?') + query;
+}
+
+/**
+ * Find oEmbed discovery link in page markup
+ *
+ * @param {string} page - HTML of the resource page
+ * @param {string} baseUrl - resource URL to resolve relative links
+ * @returns {string|null}
+ */
+export function findDiscoveryUrl(page, baseUrl) {
+  const links = page.match(/<link\s[^>]*>/gi) || [];
+
+  for (const link of links) {
+    const attribute = (name) => {
+      const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(link);
+
+      return match ? (match[1] || match[2] || match[3] || '') : '';
+    };
+
+    if (attribute('rel').toLowerCase() !== 'alternate' ||
+      attribute('type').toLowerCase() !== 'application/json+oembed') {
+      continue;
+    }
+
+    const href = attribute('href').replace(/&amp;/g, '&');
+
+    if (!href) {
+      continue;
+    }
+
+    try {
+      return new URL(href, baseUrl).toString();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Map oEmbed API response to OEmbedData
+ *
+ * @param {object} response - raw oEmbed response
+ * @returns {OEmbedData}
+ */
+export function normalizeOEmbed(response = {}) {
+  const toNumber = (value) => {
+    const number = parseInt(value, 10);
+
+    return isNaN(number) ? undefined : number;
+  };
+
+  return {
+    type: response.type || 'rich',
+    html: response.html || '',
+    url: response.url || '',
+    width: toNumber(response.width),
+    height: toNumber(response.height),
+    title: response.title || '',
+    providerName: response.provider_name || '',
+    thumbnailUrl: response.thumbnail_url || '',
+  };
+}
+
+/**
+ * Get markup to render oEmbed resource with
+ *
+ * @param {OEmbedData} data - oEmbed data
+ * @returns {string}
+ */
+export function getOEmbedHtml({ type, html, url, title }) {
+  if (type === 'photo' && url) {
+    const escape = (value) => value
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;');
+
+    return `<img src="${escape(url)}" alt="${escape(title || '')}">`;
+  }
+
+  return html;
+}
+
+/**
+ * Resolve oEmbed data of the resource using bundled providers or discovery
+ *
+ * @param {string} url - resource URL
+ * @param {object} [options] - request options
+ * @param {OEmbedProvider[]} [options.providers] - providers to match the URL against
+ * @param {boolean} [options.discovery] - look for discovery link in the page if no provider matched
+ * @param {Function} [options.fetch] - fetch implementation
+ * @param {object} [options.params] - additional oEmbed query params, e.g. maxwidth
+ * @returns {Promise<OEmbedData|null>} - null if the resource has no oEmbed
+ */
+export async function fetchOEmbed(url, {
+  providers = PROVIDERS,
+  discovery = false,
+  fetch = globalThis.fetch,
+  params = {},
+} = {}) {
+  const provider = findProvider(url, providers);
+  let requestUrl = null;
+
+  if (provider) {
+    requestUrl = buildRequestUrl(provider.endpoint, url, params);
+  } else if (discovery) {
+    const page = await fetch(url);
+
+    if (!page.ok) {
+      return null;
+    }
+
+    requestUrl = findDiscoveryUrl(await page.text(), url);
+  }
+
+  if (!requestUrl) {
+    return null;
+  }
+
+  const response = await fetch(requestUrl);
+
+  if (!response.ok) {
+    throw new Error(`oEmbed API responded with status ${response.status}`);
+  }
+
+  return normalizeOEmbed(await response.json());
+}
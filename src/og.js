@@ -0,0 +1,93 @@
+/**
+ * @typedef {object} OgData
+ * @description Normalized link metadata used to render link card
+ * @property {string} ogTitle - page title
+ * @property {string} ogDescription - page description
+ * @property {string} ogImageUrl - preview image URL
+ * @property {string} ogImageAlt - preview image description
+ * @property {string} ogUrl - canonical page URL
+ * @property {string} ogIcon - site favicon URL
+ * @property {string} ogSiteName - site name
+ */
+
+/**
+ * Default Open Graph API. Requested URL is appended to the end
+ */
+export const DEFAULT_OG_ENDPOINT = 'https://public-api.medistream.co.kr/og/?url=';
+
+/**
+ * Map Open Graph API response to OgData, falling back to Twitter card fields
+ *
+ * @param {object} response - raw metadata with og* and twitter* fields
+ * @returns {OgData}
+ */
+export function normalizeOgData(response = {}) {
+  const {
+    ogTitle,
+    ogDescription,
+    ogImage,
+    ogUrl,
+    ogSiteName,
+    twitterTitle,
+    twitterDescription,
+    twitterImage,
+    twitterSite,
+    requestUrl,
+    favicon,
+  } = response;
+
+  return {
+    ogTitle: ogTitle || twitterTitle || '',
+    ogDescription: ogDescription || twitterDescription || '',
+    ogImageUrl: (ogImage && ogImage.url) || (twitterImage && twitterImage.url) || '',
+    ogImageAlt: (ogImage && ogImage.alt) || (twitterImage && twitterImage.alt) || '',
+    ogUrl: ogUrl || requestUrl || '',
+    ogIcon: favicon && favicon.includes('https://') ? favicon : '',
+    ogSiteName: ogSiteName || twitterSite || ogTitle || twitterTitle || '',
+  };
+}
+
+/**
+ * Fill missing OgData fields with empty strings
+ *
+ * @param {OgData} data - metadata returned by custom fetcher
+ * @returns {OgData}
+ */
+export function completeOgData(data = {}) {
+  return {
+    ogTitle: data.ogTitle || '',
+    ogDescription: data.ogDescription || '',
+    ogImageUrl: data.ogImageUrl || '',
+    ogImageAlt: data.ogImageAlt || '',
+    ogUrl: data.ogUrl || '',
+    ogIcon: data.ogIcon || '',
+    ogSiteName: data.ogSiteName || '',
+  };
+}
+
+/**
+ * Request link metadata from Open Graph API
+ *
+ * @param {string} source - link to get metadata of
+ * @param {object} [options] - request options
+ * @param {string} [options.ogEndpoint] - Open Graph API URL ending with the query param name, e.g. https://example.com/og?url=
+ * @param {Function} [options.ogFetcher] - custom fetcher which resolves OgData
+ * @returns {Promise<OgData>}
+ */
+export async function fetchOgData(source, { ogEndpoint = DEFAULT_OG_ENDPOINT, ogFetcher } = {}) {
+  if (typeof ogFetcher === 'function') {
+    return completeOgData(await ogFetcher(source));
+  }
+
+  /**
+   * Configured endpoint receives the link as a query param value, so its own query is kept whole
+   */
+  const link = ogEndpoint === DEFAULT_OG_ENDPOINT ? encodeURI(source) : encodeURIComponent(source);
+  const response = await globalThis.fetch(ogEndpoint + link);
+
+  if (response.status !== 200) {
+    throw new Error(`Open Graph API responded with status ${response.status}`);
+  }
+
+  return normalizeOgData(await response.json());
+}
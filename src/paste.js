@@ -0,0 +1,55 @@
+import { resolveUrl } from './resolver';
+
+/**
+ * @typedef {object} PastedBlock
+ * @description Block to insert for a piece of pasted text
+ * @property {string} type - 'embed' for recognized links, 'paragraph' for other text
+ * @property {EmbedData} [data] - block data of the link (embed type)
+ * @property {string} [text] - pasted text (paragraph type)
+ */
+
+/**
+ * Split pasted text into lines. Spreadsheet rows are split into cells
+ *
+ * @param {string} text - pasted text
+ * @returns {string[]} - non-empty trimmed pieces of text
+ */
+export function splitPastedText(text) {
+  return (text || '')
+    .split(/\r?\n/)
+    .reduce((items, line) => items.concat(line.split('\t')), [])
+    .map((item) => item.trim())
+    .filter((item) => !!item);
+}
+
+/**
+ * Convert pasted text to blocks: embed block for each recognized link and paragraphs for the rest
+ *
+ * @param {string} text - pasted text
+ * @param {object} services - services to match links against
+ * @param {object} [options] - allowedDomains, blockedDomains, onReject and normalize, rejected links are left as text
+ * @returns {PastedBlock[]}
+ */
+export function getPastedBlocks(text, services, options = {}) {
+  return splitPastedText(text).map((item) => {
+    const resolution = /^\S+$/.test(item) ? resolveUrl(item, services, options) : null;
+
+    if (resolution && resolution.rejected && typeof options.onReject === 'function') {
+      options.onReject(resolution.source, resolution.rejected);
+    }
+
+    if (!resolution || resolution.rejected) {
+      return {
+        type: 'paragraph',
+        text: item,
+      };
+    }
+
+    const { match, rejected, ...data } = resolution;
+
+    return {
+      type: 'embed',
+      data,
+    };
+  });
+}
@@ -0,0 +1,210 @@
+/**
+ * @typedef {object} Playback
+ * @description Playback options of video embeds
+ * @property {number} [start] - start time, seconds
+ * @property {number} [end] - end time, seconds
+ * @property {boolean} [autoplay] - start playing on load
+ * @property {boolean} [mute] - start muted
+ * @property {boolean} [loop] - play again when finished
+ * @property {boolean} [controls] - show player controls. Shown if not set
+ */
+
+/**
+ * Playback options in the order they are shown in the options panel
+ */
+export const PLAYBACK_OPTIONS = ['start', 'end', 'autoplay', 'mute', 'loop', 'controls'];
+
+/**
+ * Parse time entered by user: seconds, 'mm:ss', 'hh:mm:ss' or '1h2m3s'
+ *
+ * @param {string|number} value - time to parse
+ * @returns {number|undefined} - seconds or undefined if the value is empty or invalid
+ */
+export function parseTime(value) {
+  if (typeof value === 'number') {
+    return value >= 0 ? Math.floor(value) : undefined;
+  }
+
+  const time = (value || '').trim().toLowerCase();
+
+  if (/^\d+$/.test(time)) {
+    return parseInt(time, 10);
+  }
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(time)) {
+    return time.split(':').reduce((seconds, part) => seconds * 60 + parseInt(part, 10), 0);
+  }
+
+  const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(time);
+
+  if (time && match) {
+    const [, hours = 0, minutes = 0, seconds = 0] = match.map((part) => part || 0);
+
+    return hours * 3600 + minutes * 60 + Number(seconds);
+  }
+
+  return undefined;
+}
+
+/**
+ * Format seconds as 'h:mm:ss' or 'm:ss'
+ *
+ * @param {number} [seconds] - time in seconds
+ * @returns {string} - empty string if time is not set
+ */
+export function formatTime(seconds) {
+  if (typeof seconds !== 'number') {
+    return '';
+  }
+
+  const pad = (number) => String(number).padStart(2, '0');
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = seconds % 60;
+
+  return hours ? `${hours}:${pad(minutes)}:${pad(rest)}` : `${minutes}:${pad(rest)}`;
+}
+
+/**
+ * Set query param or remove it if value is undefined
+ *
+ * @param {URL} url - URL to modify
+ * @param {string} name - param name
+ * @param {string|undefined} value - param value
+ */
+function setParam(url, name, value) {
+  if (value === undefined) {
+    url.searchParams.delete(name);
+  } else {
+    url.searchParams.set(name, value);
+  }
+}
+
+/**
+ * Convert flag to param value
+ *
+ * @param {boolean} [value] - option value
+ * @param {string[]} values - param values for true and false
+ * @returns {string|undefined}
+ */
+function flag(value, values) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  return value ? values[0] : values[1];
+}
+
+/**
+ * YouTube player parameters
+ */
+export const YOUTUBE_PLAYBACK = {
+  options: PLAYBACK_OPTIONS,
+
+  /**
+   * @param {string} embed - embed page URL
+   * @param {Playback} playback - playback options
+   * @returns {string}
+   */
+  apply(embed, { start, end, autoplay, mute, loop, controls }) {
+    const url = new URL(embed);
+    const id = url.pathname.split('/').pop();
+
+    setParam(url, 'start', start !== undefined ? String(start) : undefined);
+    setParam(url, 'end', end !== undefined ? String(end) : undefined);
+    setParam(url, 'autoplay', flag(autoplay, ['1', '0']));
+    setParam(url, 'mute', flag(mute, ['1', '0']));
+    setParam(url, 'loop', flag(loop, ['1', '0']));
+    setParam(url, 'playlist', loop ? id : undefined);
+    setParam(url, 'controls', flag(controls, ['1', '0']));
+
+    return url.toString();
+  },
+};
+
+/**
+ * Vimeo player parameters. Start time is set with URL fragment, end time is not supported
+ */
+export const VIMEO_PLAYBACK = {
+  options: ['start', 'autoplay', 'mute', 'loop', 'controls'],
+
+  /**
+   * @param {string} embed - embed page URL
+   * @param {Playback} playback - playback options
+   * @returns {string}
+   */
+  apply(embed, { start, autoplay, mute, loop, controls }) {
+    const url = new URL(embed);
+
+    setParam(url, 'autoplay', flag(autoplay, ['1', '0']));
+    setParam(url, 'muted', flag(mute, ['1', '0']));
+    setParam(url, 'loop', flag(loop, ['1', '0']));
+    setParam(url, 'controls', flag(controls, ['1', '0']));
+    url.hash = start ? `t=${start}s` : '';
+
+    return url.toString();
+  },
+};
+
+/**
+ * Twitch video player parameters. Twitch player starts playing unless autoplay is disabled explicitly
+ */
+export const TWITCH_VIDEO_PLAYBACK = {
+  options: ['start', 'autoplay', 'mute'],
+
+  /**
+   * @param {string} embed - embed page URL
+   * @param {Playback} playback - playback options
+   * @returns {string}
+   */
+  apply(embed, { start, autoplay, mute }) {
+    const url = new URL(embed);
+    const time = start !== undefined
+      ? `${Math.floor(start / 3600)}h${Math.floor((start % 3600) / 60)}m${start % 60}s`
+      : undefined;
+
+    setParam(url, 'time', time);
+    setParam(url, 'autoplay', autoplay ? 'true' : 'false');
+    setParam(url, 'muted', flag(mute, ['true', 'false']));
+
+    return url.toString();
+  },
+};
+
+/**
+ * Twitch channel player parameters. Twitch player starts playing unless autoplay is disabled explicitly
+ */
+export const TWITCH_CHANNEL_PLAYBACK = {
+  options: ['autoplay', 'mute'],
+
+  /**
+   * @param {string} embed - embed page URL
+   * @param {Playback} playback - playback options
+   * @returns {string}
+   */
+  apply(embed, { autoplay, mute }) {
+    const url = new URL(embed);
+
+    setParam(url, 'autoplay', autoplay ? 'true' : 'false');
+    setParam(url, 'muted', flag(mute, ['true', 'false']));
+
+    return url.toString();
+  },
+};
+
+/**
+ * Keep options supported by the service and drop unset ones
+ *
+ * @param {Playback} playback - playback options
+ * @param {string[]} options - supported options
+ * @returns {Playback}
+ */
+export function pickPlayback(playback = {}, options = PLAYBACK_OPTIONS) {
+  return options
+    .filter((option) => playback[option] !== undefined && playback[option] !== null)
+    .reduce((result, option) => {
+      result[option] = playback[option];
+
+      return result;
+    }, {});
+}
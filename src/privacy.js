@@ -0,0 +1,64 @@
+/**
+ * Domains consented during the page session
+ */
+const consentedDomains = new Set();
+
+/**
+ * Normalize privacyMode config
+ *
+ * @param {boolean|object} privacyMode - privacy mode flag or options
+ * @returns {object|null} - null if privacy mode is disabled
+ */
+export function getPrivacyOptions(privacyMode) {
+  if (!privacyMode) {
+    return null;
+  }
+
+  const { hasConsent = () => false, onConsent = () => {} } = privacyMode instanceof Object ? privacyMode : {};
+
+  return {
+    hasConsent,
+    onConsent,
+  };
+}
+
+/**
+ * Check that third-party content of the domain may be loaded
+ *
+ * @param {string} domain - domain of embedded content
+ * @param {object} options - privacy options
+ * @param {Function} options.hasConsent - host callback which returns (or resolves) true if the domain is consented
+ * @returns {Promise<boolean>}
+ */
+export async function checkConsent(domain, { hasConsent }) {
+  if (consentedDomains.has(domain)) {
+    return true;
+  }
+
+  const consented = !!(await hasConsent(domain));
+
+  if (consented) {
+    consentedDomains.add(domain);
+  }
+
+  return consented;
+}
+
+/**
+ * Remember consent for the domain and notify host app
+ *
+ * @param {string} domain - domain of embedded content
+ * @param {object} options - privacy options
+ * @param {Function} options.onConsent - host callback to persist the consent
+ */
+export function grantConsent(domain, { onConsent }) {
+  consentedDomains.add(domain);
+  onConsent(domain);
+}
+
+/**
+ * Forget consents given during the page session
+ */
+export function resetConsents() {
+  consentedDomains.clear();
+}
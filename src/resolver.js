@@ -0,0 +1,109 @@
+import { pickPlayback } from './playback';
+import { getRejectionReason } from './domains';
+import { normalizeUrl } from './normalize';
+
+/**
+ * Loose pattern of any link. Used as the last resort to render Open Graph card
+ */
+// eslint-disable-next-line
+export const ETC_PATTERN = /(?:http[s]?:\/\/)|(?:www\.)([a-zA-Z0-9\-\._\?\,\'\/\\\+&%\$#\=~:]+)/;
+
+/**
+ * @typedef {object} Resolution
+ * @description What the link is embedded as. Fields except match and rejected can be used as EmbedData
+ * @property {string} service - service name, 'etc' for links of unknown services
+ * @property {string} source - normalized link
+ * @property {string} [embed] - URL of embed page (known services)
+ * @property {number} [width] - embedded content width
+ * @property {number} [height] - embedded content height
+ * @property {{groups: string[], id: string}|null} match - RegExp groups and resource id (known services)
+ * @property {string|null} rejected - reason the link is rejected by domain lists: 'invalid', 'blocked', 'not-allowed'
+ */
+
+/**
+ * Get RegExp groups and resource id of the link
+ *
+ * @param {object} service - service configuration object
+ * @param {string} source - resource URL matching service regex
+ * @returns {{groups: string[], id: string}}
+ */
+export function getMatch(service, source) {
+  const { regex, id = (ids) => ids.shift() } = service;
+  const groups = regex.exec(source).slice(1);
+
+  return {
+    groups,
+    id: id(groups.slice()),
+  };
+}
+
+/**
+ * Compose embed page URL of the resource
+ *
+ * @param {object} service - service configuration object
+ * @param {string} source - resource URL matching service regex
+ * @param {object} [options] - options
+ * @param {boolean} [options.privacyMode] - rewrite URL with service privacy function
+ * @param {Playback} [options.playback] - playback options translated with service playback params
+ * @returns {string}
+ */
+export function getEmbedUrl(service, source, { privacyMode = false, playback } = {}) {
+  const { embedUrl, privacy } = service;
+
+  let embed = embedUrl.replace(/<%= remote_id %>/g, getMatch(service, source).id);
+
+  if (privacy && privacyMode) {
+    embed = privacy(embed);
+  }
+
+  if (service.playback && playback && Object.keys(playback).length) {
+    embed = service.playback.apply(embed, pickPlayback(playback, service.playback.options));
+  }
+
+  return embed;
+}
+
+/**
+ * Find out what the link is embedded as without rendering anything
+ *
+ * @param {string} url - link to resolve
+ * @param {object} services - services to match the link against, in order of priority
+ * @param {object} [options] - options
+ * @param {boolean} [options.privacyMode] - use privacy-enhanced embed URLs
+ * @param {string[]} [options.allowedDomains] - only links of these domains are embedded
+ * @param {string[]} [options.blockedDomains] - links of these domains are never embedded
+ * @param {NormalizeOptions|boolean} [options.normalize] - link normalization options or false to trim the link only
+ * @returns {Resolution|null} - null if the text is not a link
+ */
+export function resolveUrl(url, services, { privacyMode = false, allowedDomains, blockedDomains, normalize } = {}) {
+  const source = normalizeUrl(url, normalize);
+  const rejected = getRejectionReason(source, {
+    allowedDomains,
+    blockedDomains,
+  });
+  const entry = Object.entries(services)
+    .find(([, service]) => service.regex.test(source));
+
+  if (!entry) {
+    return ETC_PATTERN.test(source)
+      ? {
+        service: 'etc',
+        source,
+        match: null,
+        rejected,
+      }
+      : null;
+  }
+
+  const [name, service] = entry;
+
+  return {
+    service: name,
+    source,
+    embed: getEmbedUrl(service, source, { privacyMode }),
+    width: service.width,
+    height: service.height,
+    match: getMatch(service, source),
+    rejected,
+  };
+}
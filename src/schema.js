@@ -0,0 +1,184 @@
+/**
+ * Version of EmbedData saved by the tool. Data without version is treated as version 1
+ */
+export const SCHEMA_VERSION = 2;
+
+/**
+ * Fields of EmbedData and their checks. Each check returns error message or null
+ */
+const FIELDS = {
+  version: (value) => Number.isInteger(value) && value > 0 ? null : 'should be a positive integer',
+  service: (value) => typeof value === 'string' ? null : 'should be a string',
+  source: (value) => typeof value === 'string' ? null : 'should be a string',
+  embed: (value) => typeof value === 'string' ? null : 'should be a string',
+  width: (value) => typeof value === 'number' && value > 0 ? null : 'should be a positive number',
+  height: (value) => typeof value === 'number' && value > 0 ? null : 'should be a positive number',
+  caption: (value) => typeof value === 'string' ? null : 'should be a string',
+  html: (value) => typeof value === 'string' ? null : 'should be a string',
+  thumbnail: (value) => typeof value === 'string' ? null : 'should be a string',
+  align: (value) => ['center', 'left', 'right'].includes(value) ? null : 'should be one of center, left, right',
+  size: (value) => ['full', 'medium', 'small'].includes(value) ? null : 'should be one of full, medium, small',
+  cardStyle: (value) => ['card', 'plain'].includes(value) ? null : 'should be one of card, plain',
+  cardVariant: (value) => ['default', 'compact', 'large', 'text'].includes(value) ? null : 'should be one of default, compact, large, text',
+  layout: (value) => ['gallery', 'carousel', 'playlist'].includes(value) ? null : 'should be one of gallery, carousel, playlist',
+  items: (value) => {
+    if (!Array.isArray(value)) {
+      return 'should be an array';
+    }
+
+    const invalid = value
+      .findIndex((item) => !(item instanceof Object) || typeof item.service !== 'string' || typeof item.source !== 'string');
+
+    return invalid === -1 ? null : `item ${invalid} should have service and source strings`;
+  },
+  og: (value) => {
+    if (!(value instanceof Object) || Array.isArray(value)) {
+      return 'should be an object';
+    }
+
+    const invalid = Object.entries(value)
+      .find(([, field]) => typeof field !== 'string');
+
+    return invalid ? `field "${invalid[0]}" should be a string` : null;
+  },
+  playback: (value) => {
+    if (!(value instanceof Object) || Array.isArray(value)) {
+      return 'should be an object';
+    }
+
+    const invalid = Object.entries(value)
+      .find(([key, field]) => ['start', 'end'].includes(key)
+        ? !Number.isInteger(field) || field < 0
+        : typeof field !== 'boolean');
+
+    return invalid ? `field "${invalid[0]}" has invalid type` : null;
+  },
+};
+
+/**
+ * Decode HTML caption of upstream format to plain text
+ *
+ * @param {string} caption - caption with HTML markup
+ * @returns {string}
+ */
+function captionToText(caption) {
+  return caption
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Convert numeric string to number
+ *
+ * @param {*} value - value to convert
+ * @returns {number|undefined}
+ */
+function toDimension(value) {
+  const number = typeof value === 'string' ? parseInt(value, 10) : value;
+
+  return typeof number === 'number' && number > 0 ? number : undefined;
+}
+
+/**
+ * Migrations from the previous version, indexed by resulting version
+ */
+const MIGRATIONS = {
+  /**
+   * Version 1: blocks saved by older versions of the tool (no source, url instead of source)
+   * and by upstream @editorjs/embed (HTML caption, dimensions as strings)
+   *
+   * @param {object} data - data of version 1
+   * @returns {object}
+   */
+  2: (data) => {
+    const { url, ...rest } = data;
+    const migrated = {
+      ...rest,
+      source: data.source || url || data.embed,
+      width: toDimension(data.width),
+      height: toDimension(data.height),
+    };
+
+    if (typeof data.caption === 'string') {
+      migrated.caption = captionToText(data.caption);
+    }
+
+    return migrated;
+  },
+};
+
+/**
+ * Upgrade saved data to the current version
+ *
+ * @param {object} data - saved block data
+ * @returns {EmbedData}
+ */
+export function migrateEmbedData(data) {
+  let version = data.version || 1;
+  let migrated = { ...data };
+
+  while (version < SCHEMA_VERSION) {
+    version += 1;
+    migrated = MIGRATIONS[version](migrated);
+  }
+
+  migrated.version = Math.max(version, SCHEMA_VERSION);
+
+  Object.keys(migrated)
+    .filter((key) => migrated[key] === undefined)
+    .forEach((key) => delete migrated[key]);
+
+  return migrated;
+}
+
+/**
+ * Check data of the current version
+ *
+ * @param {EmbedData} data - block data
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function validateEmbedData(data) {
+  if (!(data instanceof Object) || Array.isArray(data)) {
+    return {
+      valid: false,
+      errors: [ {
+        path: '',
+        message: 'should be an object',
+      } ],
+    };
+  }
+
+  const errors = Object.entries(FIELDS)
+    .filter(([ key ]) => data[key] !== undefined)
+    .map(([key, check]) => ({
+      path: key,
+      message: check(data[key]),
+    }))
+    .filter(({ message }) => message !== null);
+
+  if (data.source && !data.service) {
+    errors.push({
+      path: 'service',
+      message: 'is required when source is set',
+    });
+  }
+
+  if (data.layout && !data.items) {
+    errors.push({
+      path: 'items',
+      message: 'is required when layout is set',
+    });
+  }
+
+  return {
+    valid: !errors.length,
+    errors,
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * @typedef {object} Policy
+ * @description Permissions of embedded content iframe
+ * @property {string[]|boolean} [sandbox] - sandbox tokens. Pass false to omit sandbox attribute
+ * @property {string[]} [allow] - features of Permissions Policy allowed for the iframe
+ * @property {string} [referrerpolicy] - referrer policy of the iframe requests
+ */
+
+/**
+ * Policy of services without their own one
+ *
+ * @type {Policy}
+ */
+export const DEFAULT_POLICY = {
+  sandbox: [
+    'allow-scripts',
+    'allow-same-origin',
+    'allow-popups',
+    'allow-popups-to-escape-sandbox',
+  ],
+  allow: [],
+  referrerpolicy: 'strict-origin-when-cross-origin',
+};
+
+/**
+ * Policy of video players
+ *
+ * @type {Policy}
+ */
+export const VIDEO_POLICY = {
+  ...DEFAULT_POLICY,
+  sandbox: DEFAULT_POLICY.sandbox.concat('allow-presentation'),
+  allow: ['autoplay', 'fullscreen', 'encrypted-media', 'picture-in-picture'],
+};
+
+/**
+ * Policy of audio players
+ *
+ * @type {Policy}
+ */
+export const AUDIO_POLICY = {
+  ...DEFAULT_POLICY,
+  allow: ['autoplay', 'encrypted-media'],
+};
+
+/**
+ * Policy of interactive editors and boards
+ *
+ * @type {Policy}
+ */
+export const APP_POLICY = {
+  ...DEFAULT_POLICY,
+  sandbox: DEFAULT_POLICY.sandbox.concat('allow-forms', 'allow-modals'),
+  allow: ['fullscreen', 'clipboard-read', 'clipboard-write'],
+};
+
+/**
+ * Merge service policy with global overrides and compose iframe attributes
+ *
+ * @param {Policy} [servicePolicy] - policy of the service
+ * @param {Policy} [override] - policy fields from the tool config
+ * @returns {object} - attribute name to value map
+ */
+export function getPolicyAttributes(servicePolicy = DEFAULT_POLICY, override = {}) {
+  const { sandbox, allow, referrerpolicy } = {
+    ...DEFAULT_POLICY,
+    ...servicePolicy,
+    ...override,
+  };
+  const attributes = {};
+
+  if (sandbox !== false) {
+    attributes.sandbox = Array.isArray(sandbox) ? sandbox.join(' ') : '';
+  }
+
+  if (allow && allow.length) {
+    attributes.allow = allow.join('; ');
+  }
+
+  if (referrerpolicy) {
+    attributes.referrerpolicy = referrerpolicy;
+  }
+
+  return attributes;
+}
+
+/**
+ * Check that markup consists of a single empty iframe
+ *
+ * @param {string} html - service markup
+ * @returns {boolean}
+ */
+export function isSingleIframe(html) {
+  return /^\s*<iframe\b[^>]*>\s*<\/iframe>\s*$/i.test(html);
+}
+
+/**
+ * Get attribute value from a single tag markup. Character references are decoded
+ *
+ * @param {string} html - tag markup
+ * @param {string} name - attribute name
+ * @returns {string}
+ */
+export function getAttribute(html, name) {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(html);
+  const value = match ? (match[1] || match[2] || match[3] || '') : '';
+
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Allow http(s) links only, so saved data can not inject scripts with javascript: URLs
+ *
+ * @param {string} url - link to check
+ * @returns {string} - empty string for other protocols
+ */
+export function safeUrl(url) {
+  return /^https?:\/\//i.test(url || '') ? url : '';
+}
+
+/**
+ * Prepare link for CSS url("") value: http(s) links only, with quotes, parentheses, backslashes and line breaks percent-encoded,
+ * so saved data can not close the value and add declarations
+ *
+ * @param {string} url - image link
+ * @returns {string} - empty string for other protocols
+ */
+export function cssUrl(url) {
+  return safeUrl(url).replace(/["'()\\\n\r\f]/g, (char) => '%' + char.charCodeAt(0).toString(16).padStart(2, '0'));
+}
+
+/**
+ * Parse markup of a single iframe or image keeping only safe attributes.
+ * Event handlers and other attributes of third-party markup are dropped
+ *
+ * @param {string} html - oEmbed markup
+ * @returns {{tagName: string, attributes: object}|null} - null for other markup or not http(s) source
+ */
+export function getSingleElement(html) {
+  const match = /^\s*<(iframe|img)\b[^>]*>\s*(?:<\/iframe>)?\s*$/i.exec(html || '');
+
+  if (!match || (match[1].toLowerCase() === 'img' && /<\/iframe>/i.test(html))) {
+    return null;
+  }
+
+  const tagName = match[1].toLowerCase();
+  const src = safeUrl(getAttribute(html, 'src'));
+
+  if (!src) {
+    return null;
+  }
+
+  const attributes = {
+    src,
+    title: getAttribute(html, 'title'),
+  };
+
+  if (tagName === 'img') {
+    attributes.alt = getAttribute(html, 'alt');
+  }
+
+  return {
+    tagName,
+    attributes,
+  };
+}
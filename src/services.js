@@ -1,14 +1,30 @@
 /* eslint-disable no-useless-escape */
-export default {
+import { APP_POLICY, AUDIO_POLICY, VIDEO_POLICY, isSingleIframe } from './security';
+import { FACEBOOK_WIDGET, INSTAGRAM_WIDGET, TWITTER_WIDGET, isWidget } from './widgets';
+import { TWITCH_CHANNEL_PLAYBACK, TWITCH_VIDEO_PLAYBACK, VIMEO_PLAYBACK, YOUTUBE_PLAYBACK } from './playback';
+
+/**
+ * Bundled services. Services with deprecated flag are not available anymore:
+ * they are not matched and their saved blocks are rendered as link cards
+ */
+const SERVICES = {
   vimeo: {
+    title: 'Vimeo',
     regex: /(?:http[s]?:\/\/)?(?:www.)?(?:player.)?vimeo\.co(?:.+\/([^\/]\d+)(?:#t=[\d]+)?s?$)/,
     embedUrl: 'https://player.vimeo.com/video/<%= remote_id %>?title=0&byline=0',
     html: '<iframe style="width:100%; aspect-ratio: 16 / 9;" frameborder="0"></iframe>',
+    policy: VIDEO_POLICY,
+    privacy: (embed) => embed + '&dnt=1',
+    playback: VIMEO_PLAYBACK,
   },
   youtube: {
+    title: 'YouTube',
     regex: /(?:https?:\/\/)?(?:www\.)?(?:(?:youtu\.be\/)|(?:youtube\.com)\/(?:v\/|u\/\w\/|embed\/|watch))(?:(?:\?v=)?([^#&?=]*))?((?:[?&]\w*=\w*)*)/,
     embedUrl: 'https://www.youtube.com/embed/<%= remote_id %>',
     html: '<iframe style="width:100%; aspect-ratio: 16 / 9;" frameborder="0" allowfullscreen></iframe>',
+    policy: VIDEO_POLICY,
+    privacy: (embed) => embed.replace('https://www.youtube.com/', 'https://www.youtube-nocookie.com/'),
+    playback: YOUTUBE_PLAYBACK,
     id: ([id, params]) => {
       if (!params && id) {
         return id;
@@ -51,91 +67,131 @@ export default {
       return id + '?' + params.join('&');
     },
   },
+  'youtube-shorts': {
+    title: 'YouTube Shorts',
+    regex: /^https?:\/\/(?:www\.|m\.)?youtube\.com\/shorts\/([\w-]{11})/,
+    embedUrl: 'https://www.youtube.com/embed/<%= remote_id %>',
+    html: '<iframe style="width:100%; aspect-ratio: 9 / 16;" frameborder="0" allowfullscreen></iframe>',
+    policy: VIDEO_POLICY,
+    privacy: (embed) => embed.replace('https://www.youtube.com/', 'https://www.youtube-nocookie.com/'),
+    playback: YOUTUBE_PLAYBACK,
+    height: 560,
+    width: 315,
+  },
   coub: {
+    title: 'Coub',
     regex: /https?:\/\/coub\.com\/view\/([^\/\?\&]+)/,
     embedUrl: 'https://coub.com/embed/<%= remote_id %>',
     html: '<iframe style="width:100%;" height="320" frameborder="0" allowfullscreen></iframe>',
+    policy: VIDEO_POLICY,
     height: 320,
     width: 580,
   },
   vine: {
+    title: 'Vine',
     regex: /https?:\/\/vine\.co\/v\/([^\/\?\&]+)/,
     embedUrl: 'https://vine.co/v/<%= remote_id %>/embed/simple/',
     html: '<iframe style="width:100%;" height="320" frameborder="0" allowfullscreen></iframe>',
+    policy: VIDEO_POLICY,
     height: 320,
     width: 580,
+    deprecated: true,
   },
   imgur: {
+    title: 'Imgur',
     regex: /https?:\/\/(?:i\.)?imgur\.com.*\/([a-zA-Z0-9]+)(?:\.gifv)?/,
     embedUrl: 'http://imgur.com/<%= remote_id %>/embed',
     html: '<iframe allowfullscreen="true" scrolling="no" id="imgur-embed-iframe-pub-<%= remote_id %>" class="imgur-embed-iframe-pub" style="height: 500px; width: 100%; border: 1px solid #000"></iframe>',
+    policy: VIDEO_POLICY,
     height: 500,
     width: 540,
   },
   gfycat: {
+    title: 'Gfycat',
     regex: /https?:\/\/gfycat\.com(?:\/detail)?\/([a-zA-Z]+)/,
     embedUrl: 'https://gfycat.com/ifr/<%= remote_id %>',
     html: "<iframe frameborder='0' scrolling='no' style=\"width:100%;\" height='436' allowfullscreen ></iframe>",
+    policy: VIDEO_POLICY,
     height: 436,
     width: 580,
+    deprecated: true,
   },
   'twitch-channel': {
+    title: 'Twitch',
     regex: /https?:\/\/www\.twitch\.tv\/([^\/\?\&]*)\/?$/,
     embedUrl: 'https://player.twitch.tv/?channel=<%= remote_id %>',
     html: '<iframe frameborder="0" allowfullscreen="true" scrolling="no" height="366" style="width:100%;"></iframe>',
+    policy: VIDEO_POLICY,
+    playback: TWITCH_CHANNEL_PLAYBACK,
     height: 366,
     width: 600,
   },
   'twitch-video': {
+    title: 'Twitch',
     regex: /https?:\/\/www\.twitch\.tv\/(?:[^\/\?\&]*\/v|videos)\/([0-9]*)/,
     embedUrl: 'https://player.twitch.tv/?video=v<%= remote_id %>',
     html: '<iframe frameborder="0" allowfullscreen="true" scrolling="no" height="366" style="width:100%;"></iframe>',
+    policy: VIDEO_POLICY,
+    playback: TWITCH_VIDEO_PLAYBACK,
     height: 366,
     width: 600,
   },
   'yandex-music-album': {
+    title: 'Yandex Music',
     regex: /https?:\/\/music\.yandex\.ru\/album\/([0-9]*)\/?$/,
     embedUrl: 'https://music\.yandex\.ru/iframe/#album/<%= remote_id %>/',
     html: '<iframe frameborder=\"0\" style=\"border:none;width:540px;height:400px;\" style=\"width:100%;\" height=\"400\"></iframe>',
+    policy: AUDIO_POLICY,
     height: 400,
     width: 540,
   },
   'yandex-music-track': {
+    title: 'Yandex Music',
     regex: /https?:\/\/music\.yandex\.ru\/album\/([0-9]*)\/track\/([0-9]*)/,
     embedUrl: 'https://music\.yandex\.ru/iframe/#track/<%= remote_id %>/',
     html: '<iframe frameborder="0" style="border:none;width:540px;height:100px;" style="width:100%;" height="100"></iframe>',
+    policy: AUDIO_POLICY,
     height: 100,
     width: 540,
     id: (ids) => ids.join('/'),
   },
   'yandex-music-playlist': {
+    title: 'Yandex Music',
     regex: /https?:\/\/music\.yandex\.ru\/users\/([^\/\?\&]*)\/playlists\/([0-9]*)/,
     embedUrl: 'https://music\.yandex\.ru/iframe/#playlist/<%= remote_id %>/show/cover/description/',
     html: '<iframe frameborder="0" style="border:none;width:540px;height:400px;" width="540" height="400"></iframe>',
+    policy: AUDIO_POLICY,
     height: 400,
     width: 540,
     id: (ids) => ids.join('/'),
   },
   codepen: {
+    title: 'CodePen',
     regex: /https?:\/\/codepen\.io\/([^\/\?\&]*)\/pen\/([^\/\?\&]*)/,
     embedUrl: 'https://codepen.io/<%= remote_id %>?height=300&theme-id=0&default-tab=css,result&embed-version=2',
     html: "<iframe height='300' scrolling='no' frameborder='no' allowtransparency='true' allowfullscreen='true' style='width: 100%;'></iframe>",
+    policy: APP_POLICY,
     height: 300,
     width: 600,
     id: (ids) => ids.join('/embed/'),
   },
   instagram: {
+    title: 'Instagram',
     regex: /https?:\/\/www\.instagram\.com\/p\/([^\/\?\&]+)\/?.*/,
     embedUrl: 'https://www.instagram.com/p/<%= remote_id %>/embed',
     html: '<iframe width="400" height="505" style="margin: 0 auto;" frameborder="0" scrolling="no" allowtransparency="true"></iframe>',
+    widget: INSTAGRAM_WIDGET,
   },
   twitter: {
-    regex: /^https?:\/\/twitter\.com\/(?:#!\/)?(\w+)\/status(?:es)?\/(\d+?.*)?$/,
+    title: 'X (Twitter)',
+    regex: /^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/(?:#!\/)?(\w+)\/status(?:es)?\/(\d+?.*)?$/,
     embedUrl: 'https://twitframe.com/show?url=https://twitter.com/<%= remote_id %>',
     html: '<iframe width="550" height="600" style="margin: 0 auto;" frameborder="0" scrolling="no" allowtransparency="true"></iframe>',
     id: ids => ids.join('/status/'),
+    widget: TWITTER_WIDGET,
   },
   pinterest: {
+    title: 'Pinterest',
     regex: /https?:\/\/([^\/\?\&]*).pinterest.com\/pin\/([^\/\?\&]*)\/?$/,
     embedUrl: 'https://assets.pinterest.com/ext/embed.html?id=<%= remote_id %>',
     html: "<iframe scrolling='no' frameborder='no' allowtransparency='true' allowfullscreen='true' style='width: 100%; min-height: 400px; max-height: 1000px;'></iframe>",
@@ -144,24 +200,205 @@ export default {
     },
   },
   facebook: {
+    title: 'Facebook',
     regex: /https?:\/\/www.facebook.com\/([^\/\?\&]*)\/(.*)/,
     embedUrl: 'https://www.facebook.com/plugins/post.php?href=https://www.facebook.com/<%= remote_id %>&width=500',
     html: "<iframe scrolling='no' frameborder='no' allowtransparency='true' allowfullscreen='true' style='width: 500px; height: 500px;'></iframe>",
     id: (ids) => {
       return ids.join('/');
     },
-
+    widget: FACEBOOK_WIDGET,
   },
   aparat: {
+    title: 'Aparat',
     regex: /(?:http[s]?:\/\/)?(?:www.)?aparat\.com\/v\/([^\/\?\&]+)\/?/,
     embedUrl: 'https://www.aparat.com/video/video/embed/videohash/<%= remote_id %>/vt/frame',
     html: '<iframe width="600" height="300" style="margin: 0 auto;" frameborder="0" scrolling="no" allowtransparency="true"></iframe>',
+    policy: VIDEO_POLICY,
     height: 300,
     width: 600,
   },
   miro: {
+    title: 'Miro',
     regex: /https:\/\/miro.com\/\S+(\S{12})\/(\S+)?/,
     embedUrl: 'https://miro.com/app/live-embed/<%= remote_id %>',
     html: '<iframe width="700" height="500" style="margin: 0 auto;" allowFullScreen frameBorder="0" scrolling="no"></iframe>',
+    policy: APP_POLICY,
+  },
+  tiktok: {
+    title: 'TikTok',
+    regex: /^https?:\/\/(?:www\.|m\.)?tiktok\.com\/@[\w.-]+\/video\/(\d+)/,
+    embedUrl: 'https://www.tiktok.com/embed/v2/<%= remote_id %>',
+    html: '<iframe style="width:100%;" frameborder="0" allowfullscreen scrolling="no"></iframe>',
+    policy: VIDEO_POLICY,
+    height: 740,
+    width: 325,
+  },
+  spotify: {
+    title: 'Spotify',
+    regex: /^https?:\/\/open\.spotify\.com\/(?:intl-[\w-]+\/)?(track|album|playlist|artist|episode|show)\/([a-zA-Z0-9]+)/,
+    embedUrl: 'https://open.spotify.com/embed/<%= remote_id %>',
+    html: '<iframe style="width:100%; border-radius: 12px;" height="352" frameborder="0"></iframe>',
+    policy: AUDIO_POLICY,
+    id: (ids) => ids.join('/'),
+  },
+  soundcloud: {
+    title: 'SoundCloud',
+    regex: /^https?:\/\/(?:www\.|m\.)?soundcloud\.com\/([\w-]+\/(?:sets\/)?[\w-]+)/,
+    embedUrl: 'https://w.soundcloud.com/player/?url=<%= remote_id %>&visual=true',
+    html: '<iframe style="width:100%;" height="300" frameborder="no" scrolling="no"></iframe>',
+    policy: AUDIO_POLICY,
+    id: ([ path ]) => encodeURIComponent(`https://soundcloud.com/${path}`),
+  },
+  'google-maps': {
+    title: 'Google Maps',
+    regex: /^https?:\/\/(?:www\.)?google\.com\/maps\/(?:place\/([^\/\?#]+)|@(-?[\d.]+),(-?[\d.]+)(?:,([\d.]+)z)?)/,
+    embedUrl: 'https://maps.google.com/maps?<%= remote_id %>&output=embed',
+    html: '<iframe style="width:100%;" height="450" frameborder="0"></iframe>',
+    height: 450,
+    width: 600,
+    id: ([place, latitude, longitude, zoom]) => {
+      const query = place || `${latitude},${longitude}`;
+
+      return `q=${query}&z=${Math.round(Number(zoom)) || 15}`;
+    },
+  },
+  figma: {
+    title: 'Figma',
+    regex: /^(https:\/\/(?:www\.)?figma\.com\/(?:file|design|proto|board)\/[0-9a-zA-Z]{22,128}(?:\/[^\s]*)?)$/,
+    embedUrl: 'https://www.figma.com/embed?embed_host=share&url=<%= remote_id %>',
+    html: '<iframe style="width:100%;" height="450" frameborder="0" allowfullscreen></iframe>',
+    policy: APP_POLICY,
+    height: 450,
+    width: 800,
+    id: ([ url ]) => encodeURIComponent(url),
+  },
+  loom: {
+    title: 'Loom',
+    regex: /^https?:\/\/(?:www\.)?loom\.com\/(?:share|embed)\/([0-9a-f]{32})/,
+    embedUrl: 'https://www.loom.com/embed/<%= remote_id %>',
+    html: '<iframe style="width:100%;" frameborder="0" allowfullscreen></iframe>',
+    policy: VIDEO_POLICY,
+    height: 360,
+    width: 640,
+  },
+  gist: {
+    title: 'GitHub Gist',
+    regex: /^https?:\/\/gist\.github\.com\/([\w-]+)\/([0-9a-f]+)/,
+    embedUrl: 'https://gist.github.com/<%= remote_id %>.pibb',
+    html: '<iframe style="width:100%;" height="400" frameborder="0"></iframe>',
+    id: (ids) => ids.join('/'),
+  },
+  'naver-tv': {
+    title: 'Naver TV',
+    regex: /^https?:\/\/(?:m\.)?tv\.naver\.com\/(?:v|embed)\/(\d+)/,
+    embedUrl: 'https://tv.naver.com/embed/<%= remote_id %>',
+    html: '<iframe style="width:100%;" frameborder="0" allowfullscreen></iframe>',
+    policy: VIDEO_POLICY,
+    height: 360,
+    width: 640,
+  },
+  'kakao-tv': {
+    title: 'Kakao TV',
+    regex: /^https?:\/\/(?:m\.)?tv\.kakao\.com\/(?:v\/|channel\/\d+\/cliplink\/)(\d+)/,
+    embedUrl: 'https://play-tv.kakao.com/embed/player/cliplink/<%= remote_id %>?service=player_share',
+    html: '<iframe style="width:100%;" frameborder="0" allowfullscreen></iframe>',
+    policy: VIDEO_POLICY,
+    height: 360,
+    width: 640,
   },
 };
+
+/**
+ * Services which are still available
+ */
+export const ACTIVE_SERVICES = Object.fromEntries(
+  Object.entries(SERVICES).filter(([, service]) => !service.deprecated)
+);
+
+/**
+ * Check that service config is valid
+ *
+ * @param {object} config - service config, see Service type of the tool
+ * @returns {boolean}
+ */
+export function checkServiceConfig(config) {
+  const { regex, embedUrl, html, id, policy, privacy, playback, widget } = config;
+
+  let isValid = regex && regex instanceof RegExp &&
+    embedUrl && typeof embedUrl === 'string' &&
+    html && typeof html === 'string' && isSingleIframe(html);
+
+  isValid = isValid && (id !== undefined ? id instanceof Function : true);
+  isValid = isValid && (policy !== undefined ? policy instanceof Object : true);
+  isValid = isValid && (privacy !== undefined ? privacy instanceof Function : true);
+  isValid = isValid && (playback !== undefined
+    ? playback instanceof Object && Array.isArray(playback.options) && playback.apply instanceof Function
+    : true);
+  isValid = isValid && (widget !== undefined ? isWidget(widget) : true);
+
+  return !!isValid;
+}
+
+/**
+ * Compose available services from the services config: names with true value enable bundled services only,
+ * objects add custom services or replace bundled ones. Invalid services are skipped
+ *
+ * @param {object} [services] - services config of the tool
+ * @returns {object} - service name to service map
+ */
+export function prepareServices(services = {}) {
+  let entries = Object.entries(ACTIVE_SERVICES);
+
+  const enabledServices = Object
+    .entries(services)
+    .filter(([, value]) => value === true)
+    .map(([ key ]) => key);
+
+  const userServices = Object
+    .entries(services)
+    .filter(([, service]) => service instanceof Object && checkServiceConfig(service))
+    .map(([key, service]) => {
+      const { regex, embedUrl, html, id, width, height, policy, privacy, timeout, playback, widget, title } = service;
+      const fields = Object
+        .entries({
+          width,
+          height,
+          policy,
+          privacy,
+          timeout,
+          playback,
+          widget,
+          title,
+        })
+        .filter(([, value]) => value !== undefined);
+
+      return [key, {
+        regex,
+        embedUrl,
+        html,
+        id,
+        ...Object.fromEntries(fields),
+      } ];
+    });
+
+  if (enabledServices.length) {
+    entries = entries.filter(([ key ]) => enabledServices.includes(key));
+  }
+
+  return entries
+    .concat(userServices)
+    .reduce((result, [key, service]) => {
+      if (!(key in result)) {
+        result[key] = service;
+
+        return result;
+      }
+
+      result[key] = Object.assign({}, result[key], service);
+
+      return result;
+    }, {});
+}
+
+export default SERVICES;
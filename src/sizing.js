@@ -0,0 +1,27 @@
+/**
+ * Check that dimensions are usable to compute aspect ratio
+ *
+ * @param {number} [width] - content width
+ * @param {number} [height] - content height
+ * @returns {boolean}
+ */
+export function hasDimensions(width, height) {
+  return Number(width) > 0 && Number(height) > 0;
+}
+
+/**
+ * Get inline styles of responsive container keeping content aspect ratio.
+ * Content is stretched to the container width, but not wider than its own width
+ *
+ * @param {object} size - content dimensions
+ * @param {number} [size.width] - content width
+ * @param {number} [size.height] - content height
+ * @returns {string} - empty string if dimensions are unknown
+ */
+export function getResponsiveStyle({ width, height } = {}) {
+  if (!hasDimensions(width, height)) {
+    return '';
+  }
+
+  return `max-width: ${Number(width)}px; aspect-ratio: ${Number(width)} / ${Number(height)};`;
+}
@@ -0,0 +1,35 @@
+/**
+ * Built-in themes. Auto theme follows the prefers-color-scheme media feature
+ */
+export const THEMES = ['light', 'dark', 'auto'];
+
+/**
+ * Get supported theme name
+ *
+ * @param {string} [theme] - theme from the tool config
+ * @returns {string} - light for unknown themes
+ */
+export function getTheme(theme) {
+  return THEMES.includes(theme) ? theme : 'light';
+}
+
+/**
+ * Map tool class names to extra class names of the host app
+ *
+ * @param {object} [classNames] - extra class names by CSS key of the tool, e.g. {card: 'my-card shadow'}
+ * @param {object} css - CSS keys to tool class names
+ * @returns {object} - tool class name to array of extra class names
+ */
+export function getCustomClasses(classNames, css) {
+  if (!(classNames instanceof Object)) {
+    return {};
+  }
+
+  return Object.entries(classNames)
+    .filter(([key, value]) => css[key] && typeof value === 'string')
+    .reduce((result, [key, value]) => {
+      result[css[key]] = (result[css[key]] || []).concat(value.split(/\s+/).filter((name) => !!name));
+
+      return result;
+    }, {});
+}
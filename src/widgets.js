@@ -0,0 +1,119 @@
+/**
+ * @typedef {object} Widget
+ * @description Official embed of the service rendered by its loader script instead of iframe
+ * @property {string} script - loader script URL. Each script is loaded once per page
+ * @property {Function} html - function to compose widget markup from RegExp groups of the source URL
+ * @property {Function} process - function called with widget container after the script is loaded, to render the markup
+ */
+
+/**
+ * Loader scripts by URL
+ *
+ * @type {Map<string, Promise>}
+ */
+const scripts = new Map();
+
+/**
+ * Escape text to use in attribute values
+ *
+ * @param {string} value - text to escape
+ * @returns {string}
+ */
+function escape(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Twitter and X posts
+ *
+ * @type {Widget}
+ */
+export const TWITTER_WIDGET = {
+  script: 'https://platform.twitter.com/widgets.js',
+  html: ([user, status]) => {
+    const [ id ] = /^\d*/.exec(status || '');
+
+    return '<blockquote class="twitter-tweet" data-dnt="true">' +
+      `<a href="https://twitter.com/${escape(user)}/status/${escape(id)}"></a>` +
+      '</blockquote>';
+  },
+  process: (element) => window.twttr && window.twttr.widgets.load(element),
+};
+
+/**
+ * Instagram posts
+ *
+ * @type {Widget}
+ */
+export const INSTAGRAM_WIDGET = {
+  script: 'https://www.instagram.com/embed.js',
+  html: ([ id ]) => {
+    const permalink = `https://www.instagram.com/p/${escape(id)}/`;
+
+    return `<blockquote class="instagram-media" data-instgrm-permalink="${permalink}" data-instgrm-version="14">` +
+      `<a href="${permalink}"></a>` +
+      '</blockquote>';
+  },
+  process: () => window.instgrm && window.instgrm.Embeds.process(),
+};
+
+/**
+ * Facebook posts and videos
+ *
+ * @type {Widget}
+ */
+export const FACEBOOK_WIDGET = {
+  script: 'https://connect.facebook.net/en_US/sdk.js#xfbml=1&version=v18.0',
+  html: ([page, path]) => {
+    const type = /(^|\/)videos?\//.test(path || '') ? 'fb-video' : 'fb-post';
+
+    return `<div class="${type}" data-href="https://www.facebook.com/${escape(page)}/${escape(path)}" data-width="500"></div>`;
+  },
+  process: (element) => window.FB && window.FB.XFBML.parse(element),
+};
+
+/**
+ * Load script once. Failed scripts are loaded again on the next call
+ *
+ * @param {string} src - script URL
+ * @param {Document} [doc] - document to add the script to
+ * @returns {Promise}
+ */
+export function loadScript(src, doc = document) {
+  if (!scripts.has(src)) {
+    scripts.set(src, new Promise((resolve, reject) => {
+      const script = doc.createElement('script');
+
+      script.src = src;
+      script.async = true;
+      script.charset = 'utf-8';
+      script.onload = () => resolve();
+      script.onerror = () => {
+        scripts.delete(src);
+        script.remove();
+        reject(new Error(`Script ${src} was not loaded`));
+      };
+
+      doc.head.appendChild(script);
+    }));
+  }
+
+  return scripts.get(src);
+}
+
+/**
+ * Check that widget config is valid
+ *
+ * @param {Widget} widget - widget config
+ * @returns {boolean}
+ */
+export function isWidget(widget) {
+  return widget instanceof Object &&
+    typeof widget.script === 'string' &&
+    widget.html instanceof Function &&
+    widget.process instanceof Function;
+}
@@ -0,0 +1,172 @@
+import { expect } from 'chai';
+
+import EmbedTool from '../src/index';
+import { createLocalStorage, createMetadataCache, getCacheKey } from '../src/cache';
+
+describe('Metadata cache', () => {
+  it('should normalize cache keys', () => {
+    expect(getCacheKey(' https://EXAMPLE.com/Page?q=1#top ')).to.be.equal('https://example.com/Page?q=1');
+    expect(getCacheKey('not a link')).to.be.equal('not a link');
+  });
+
+  it('should load each link once for concurrent and later calls', async () => {
+    const cache = createMetadataCache();
+    let calls = 0;
+    const load = (url) => {
+      calls++;
+
+      return Promise.resolve({ ogTitle: url });
+    };
+
+    const results = await Promise.all([
+      cache.get('https://example.com/a', load),
+      cache.get('https://example.com/a#comments', load),
+    ]);
+
+    expect(results[0]).to.be.equal(results[1]);
+    expect(await cache.get('https://example.com/a', load)).to.be.deep.equal({ ogTitle: 'https://example.com/a' });
+    expect(calls).to.be.equal(1);
+
+    await cache.delete('https://example.com/a');
+    await cache.get('https://example.com/a', load);
+
+    expect(calls).to.be.equal(2);
+  });
+
+  it('should expire values and not cache failures', async () => {
+    let time = 0;
+    let calls = 0;
+    const cache = createMetadataCache({
+      ttl: 100,
+      now: () => time,
+    });
+    const load = () => {
+      calls++;
+
+      return calls === 1 ? Promise.reject(new Error('Offline')) : Promise.resolve({ ogTitle: 'Title' });
+    };
+
+    let error = null;
+
+    try {
+      await cache.get('https://example.com', load);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).to.be.instanceOf(Error);
+
+    await cache.get('https://example.com', load);
+    time = 50;
+    await cache.get('https://example.com', load);
+
+    expect(calls).to.be.equal(2);
+
+    time = 150;
+    await cache.get('https://example.com', load);
+
+    expect(calls).to.be.equal(3);
+  });
+
+  it('should read and write persistent storage', async () => {
+    const items = {};
+    const storage = createLocalStorage({
+      get length() {
+        return Object.keys(items).length;
+      },
+      key: (index) => Object.keys(items)[index],
+      getItem: (key) => (key in items ? items[key] : null),
+      setItem: (key, value) => {
+        items[key] = value;
+      },
+      removeItem: (key) => {
+        delete items[key];
+      },
+    });
+    const load = () => Promise.resolve({ ogTitle: 'Stored' });
+
+    await createMetadataCache({ storage }).get('https://example.com/', load);
+
+    expect(Object.keys(items)).to.be.deep.equal([ 'embed-tool:https://example.com/' ]);
+
+    const value = await createMetadataCache({ storage })
+      .get('https://example.com/', () => Promise.reject(new Error('Should not load')));
+
+    expect(value).to.be.deep.equal({ ogTitle: 'Stored' });
+
+    items.other = 'kept';
+    storage.clear();
+
+    expect(Object.keys(items)).to.be.deep.equal([ 'other' ]);
+  });
+
+  it('should share metadata between blocks', async () => {
+    let calls = 0;
+
+    EmbedTool.prepare({ config: {} });
+
+    const config = {
+      ogFetcher: () => {
+        calls++;
+
+        return Promise.resolve({ ogTitle: 'Shared' });
+      },
+    };
+    const first = new EmbedTool({ data: {}, config });
+    const second = new EmbedTool({ data: {}, config });
+
+    const [a, b] = await Promise.all([
+      first._getOgData('https://example.com/shared'),
+      second._getOgData('https://example.com/shared'),
+    ]);
+
+    expect(a.ogTitle).to.be.equal('Shared');
+    expect(a).to.not.be.equal(b);
+    expect(calls).to.be.equal(1);
+
+    await EmbedTool.clearCache();
+    await first._getOgData('https://example.com/shared');
+
+    expect(calls).to.be.equal(2);
+
+    EmbedTool.prepare({ config: { cache: false } });
+
+    expect(EmbedTool.metadataCache).to.be.equal(null);
+
+    EmbedTool.prepare({ config: {} });
+  });
+
+  it('should request metadata again on refresh', async () => {
+    let calls = 0;
+
+    EmbedTool.prepare({ config: {} });
+
+    const tool = new EmbedTool({
+      data: {},
+      config: {
+        ogFetcher: () => {
+          calls++;
+
+          return Promise.resolve({ ogTitle: 'Refreshed' });
+        },
+      },
+    });
+
+    await tool._getOgData('https://example.com/refreshed');
+    await tool._getOgData('https://example.com/refreshed');
+
+    expect(calls).to.be.equal(1);
+
+    await tool._onSubmitEvent({
+      preventDefault: () => {},
+      target: [ { value: 'https://example.com/refreshed?utm_source=feed' } ],
+    });
+    await tool._getOgData(tool.data.source);
+
+    expect(tool.data).to.include({
+      service: 'etc',
+      source: 'https://example.com/refreshed',
+    });
+    expect(calls).to.be.equal(2);
+  });
+});
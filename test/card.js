@@ -0,0 +1,78 @@
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import EmbedTool from '../src/index';
+import { getCardVariant } from '../src/card';
+import { renderToHTML } from '../src/html';
+
+describe('Link card variants', () => {
+  const data = {
+    service: 'etc',
+    source: 'https://example.com/article',
+    og: {
+      ogTitle: 'Article',
+      ogDescription: 'Summary',
+      ogImageUrl: 'https://example.com/cover.png',
+    },
+  };
+
+  it('should fall back to default variant', () => {
+    expect(getCardVariant({ cardVariant: 'large' })).to.be.equal('large');
+    expect(getCardVariant({ cardVariant: 'huge' })).to.be.equal('default');
+    expect(getCardVariant(undefined)).to.be.equal('default');
+  });
+
+  it('should save variant selected in block settings', () => {
+    const tool = new EmbedTool({ data: { ...data } });
+
+    tool.renderSettings().find(({ label }) => label === '텍스트 카드').onActivate();
+
+    expect(tool.save().cardVariant).to.be.equal('text');
+  });
+
+  it('should render variants in HTML', () => {
+    const text = renderToHTML({ ...data, cardVariant: 'text' });
+    const compact = renderToHTML({ ...data, cardVariant: 'compact' });
+    const large = renderToHTML({ ...data, cardVariant: 'large' });
+
+    expect(text).to.include('embed-tool--card-variant-text');
+    expect(text).to.not.include('https://example.com/cover.png');
+    expect(compact).to.not.include('Summary');
+    expect(large).to.include('flex-direction: column-reverse;');
+    expect(large).to.include('height: 200px;');
+  });
+
+  it('should sanitize image and icon links of editor card', () => {
+    const dom = new JSDOM('<!DOCTYPE html><body></body>');
+
+    global.document = dom.window.document;
+
+    const tool = new EmbedTool({ data: { ...data }, api: { styles: {} } });
+    const card = tool._createOgCard({
+      ...data.og,
+      ogImageUrl: 'https://example.com/a.png);background-color:red;x:url(b',
+      ogIcon: 'javascript:alert(1)',
+    });
+    const image = card.querySelector('.embed-tool__img');
+
+    expect(image.style.backgroundImage).to.be.equal('url(https://example.com/a.png%29;background-color:red;x:url%28b)');
+    expect(image.style.backgroundColor).to.be.equal('');
+    expect(card.querySelector('img')).to.be.equal(null);
+    expect(tool._createOgCard({ ...data.og, ogImageUrl: 'javascript:alert(1)' })
+      .querySelector('.embed-tool__img').getAttribute('style')).to.be.equal(null);
+
+    delete global.document;
+    dom.window.close();
+  });
+
+  it('should use custom card renderer', () => {
+    const renderCard = (ogData, { variant, escapeHtml, renderDefault }) => variant === 'large'
+      ? `<div class="brand-card">${escapeHtml(ogData.ogTitle)}</div>`
+      : renderDefault().replace('embed-tool__card', 'embed-tool__card brand-card');
+
+    expect(renderToHTML({ ...data, cardVariant: 'large' }, { renderCard }))
+      .to.include('<figure class="embed-tool embed-tool--card-variant-large" data-service="etc" style="margin: 0;"><div class="brand-card">Article</div></figure>');
+    expect(renderToHTML(data, { renderCard })).to.include('class="embed-tool__card brand-card"');
+    expect(renderToHTML(data, { renderCard: () => null })).to.include('class="embed-tool__card"');
+  });
+});
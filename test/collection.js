@@ -0,0 +1,157 @@
+import { expect } from 'chai';
+
+import EmbedTool from '../src/index';
+import { getCollectionItems, getItemLabel, isCollection, moveItem } from '../src/collection';
+import { renderToHTML } from '../src/html';
+import { validateEmbedData } from '../src/schema';
+
+const COUB = {
+  service: 'coub',
+  source: 'https://coub.com/view/1czcdf',
+  embed: 'https://coub.com/embed/1czcdf',
+  width: 580,
+  height: 320,
+};
+
+const VIMEO = {
+  service: 'vimeo',
+  source: 'https://vimeo.com/289836809',
+};
+
+describe('Collections', () => {
+  before(() => {
+    EmbedTool.prepare({ config: {} });
+  });
+
+  it('should keep links of known services only', () => {
+    const items = getCollectionItems([
+      'https://coub.com/view/1czcdf',
+      'https://example.com/article',
+      'plain text',
+    ].join('\n'), EmbedTool.services);
+
+    expect(items).to.be.deep.equal([ COUB ]);
+    expect(isCollection({
+      layout: 'gallery',
+      items,
+    })).to.be.true;
+    expect(isCollection({ layout: 'gallery' })).to.be.false;
+  });
+
+  it('should notify about rejected items', () => {
+    const rejections = [];
+    const items = getCollectionItems('https://coub.com/view/1czcdf\nhttps://vimeo.com/289836809', EmbedTool.services, {
+      blockedDomains: [ 'vimeo.com' ],
+      onReject: (url, reason) => rejections.push([url, reason]),
+    });
+
+    expect(items).to.be.deep.equal([ COUB ]);
+    expect(rejections).to.be.deep.equal([ ['https://vimeo.com/289836809', 'blocked'] ]);
+  });
+
+  it('should reorder items', () => {
+    expect(moveItem(['a', 'b', 'c'], 0, 2)).to.be.deep.equal(['b', 'c', 'a']);
+    expect(moveItem(['a', 'b', 'c'], 2, 0)).to.be.deep.equal(['c', 'a', 'b']);
+    expect(moveItem(['a', 'b'], 0, 5)).to.be.deep.equal(['a', 'b']);
+  });
+
+  it('should label playlist items', () => {
+    expect(getItemLabel({ source: 'https://www.youtube.com/watch?v=wZZ7oFKsKzY' })).to.be.equal('youtube.com/watch');
+    expect(getItemLabel({ source: 'https://coub.com/view/1czcdf' })).to.be.equal('coub.com/view/1czcdf');
+  });
+
+  it('should switch between single and collection layouts', () => {
+    const tool = new EmbedTool({
+      data: {
+        ...COUB,
+        caption: 'Coubs',
+      },
+    });
+
+    tool.renderSettings().find(({ label }) => label === '갤러리').onActivate();
+
+    expect(tool.save()).to.be.deep.equal({
+      version: 2,
+      caption: 'Coubs',
+      layout: 'gallery',
+      items: [ COUB ],
+    });
+
+    tool._addItems('https://vimeo.com/289836809\nhttps://example.com');
+    tool._moveItem(1, 0);
+
+    expect(tool.save().items.map(({ service }) => service)).to.be.deep.equal(['vimeo', 'coub']);
+
+    tool._removeItem(1);
+    tool.renderSettings().find(({ label }) => label === '단일 콘텐츠').onActivate();
+
+    expect(tool.save()).to.include({
+      service: 'vimeo',
+      source: 'https://vimeo.com/289836809',
+      caption: 'Coubs',
+    });
+    expect(tool.save()).to.not.have.property('items');
+  });
+
+  it('should keep active playlist item when another item is removed', () => {
+    const tool = new EmbedTool({
+      data: {
+        layout: 'playlist',
+        items: [COUB, VIMEO, { ...COUB, source: 'https://coub.com/view/1efrxs' }],
+      },
+    });
+
+    tool._activeItem = 2;
+    tool._removeItem(0);
+
+    expect(tool._activeItem).to.be.equal(1);
+    expect(tool.save().items[tool._activeItem].source).to.be.equal('https://coub.com/view/1efrxs');
+
+    tool._removeItem(1);
+
+    expect(tool._activeItem).to.be.equal(1);
+  });
+
+  it('should not offer layouts for link cards', () => {
+    const tool = new EmbedTool({
+      data: {
+        service: 'etc',
+        source: 'https://example.com',
+      },
+    });
+
+    expect(tool.renderSettings().map(({ toggle }) => toggle)).to.not.include('layout');
+  });
+
+  it('should validate collections', () => {
+    expect(validateEmbedData({
+      layout: 'carousel',
+      items: [ COUB ],
+    }).valid).to.be.true;
+    expect(validateEmbedData({ layout: 'grid' }).errors.map(({ path }) => path))
+      .to.be.deep.equal(['layout', 'items']);
+    expect(validateEmbedData({
+      layout: 'gallery',
+      items: [ { service: 'coub' } ],
+    }).errors[0].path).to.be.equal('items');
+  });
+
+  it('should render collections to HTML', () => {
+    const html = renderToHTML({
+      version: 2,
+      layout: 'carousel',
+      items: [COUB, VIMEO, { service: 'unknown', source: 'https://example.com' } ],
+    }, {
+      blockedDomains: [ 'coub.com' ],
+    });
+
+    expect(html).to.include('data-layout="carousel"');
+    expect(html).to.include('class="embed-tool__collection embed-tool__collection--carousel"');
+    expect(html).to.include('src="https://player.vimeo.com/video/289836809?title=0&amp;byline=0"');
+    expect(html).to.not.include('coub.com/embed');
+    expect(renderToHTML({
+      layout: 'gallery',
+      items: [],
+    })).to.be.equal('');
+  });
+});
@@ -0,0 +1,67 @@
+import { expect } from 'chai';
+
+import EmbedTool from '../src/index';
+import { getHostname, getRejectionReason, matchDomain } from '../src/domains';
+
+describe('Domains lists', () => {
+  it('should parse hostname of links without scheme', () => {
+    expect(getHostname('https://WWW.YouTube.com/watch?v=1')).to.be.equal('www.youtube.com');
+    expect(getHostname('www.example.com/article')).to.be.equal('www.example.com');
+    expect(getHostname('http://')).to.be.null;
+  });
+
+  it('should match wildcard patterns', () => {
+    expect(matchDomain('www.youtube.com', '*.youtube.com')).to.be.true;
+    expect(matchDomain('youtube.com', '*.youtube.com')).to.be.false;
+    expect(matchDomain('notyoutube.com', '*.youtube.com')).to.be.false;
+    expect(matchDomain('youtube.com', 'youtube.com')).to.be.true;
+    expect(matchDomain('example.com', '*')).to.be.true;
+  });
+
+  it('should prefer blocked domains', () => {
+    const lists = {
+      allowedDomains: [ '*' ],
+      blockedDomains: [ '*.example.com' ],
+    };
+
+    expect(getRejectionReason('https://cdn.example.com/a', lists)).to.be.equal('blocked');
+    expect(getRejectionReason('https://example.org/a', lists)).to.be.null;
+  });
+
+  it('should reject domains missing in allowed list', () => {
+    const lists = { allowedDomains: ['youtube.com', '*.youtube.com'] };
+
+    expect(getRejectionReason('https://www.youtube.com/watch?v=1', lists)).to.be.null;
+    expect(getRejectionReason('https://vimeo.com/1', lists)).to.be.equal('not-allowed');
+    expect(getRejectionReason('https://vimeo.com/1')).to.be.null;
+  });
+
+  it('should notify host app about rejected link', () => {
+    const rejections = [];
+    const tool = new EmbedTool({
+      data: {},
+      config: {
+        blockedDomains: [ 'vimeo.com' ],
+        onReject: (url, reason) => rejections.push([url, reason]),
+      },
+    });
+
+    expect(tool._isRejected('https://vimeo.com/1')).to.be.true;
+    expect(tool._isRejected('https://coub.com/view/1')).to.be.false;
+    expect(rejections).to.be.deep.equal([]);
+
+    tool._checkedUrl('https://vimeo.com/1');
+    tool.onPaste({
+      detail: {
+        key: 'vimeo',
+        data: 'https://vimeo.com/2',
+      },
+    });
+    tool._checkedUrl('https://coub.com/view/1');
+
+    expect(rejections).to.be.deep.equal([
+      ['https://vimeo.com/1', 'blocked'],
+      ['https://vimeo.com/2', 'blocked'],
+    ]);
+  });
+});
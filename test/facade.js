@@ -0,0 +1,30 @@
+import { expect } from 'chai';
+
+import { getLazyMode, getVimeoVideoUrl, getYouTubeThumbnail } from '../src/facade';
+
+describe('Lazy loading', () => {
+  it('should resolve mode of the service', () => {
+    expect(getLazyMode(undefined, 'youtube')).to.be.null;
+    expect(getLazyMode(true, 'youtube')).to.be.equal('click');
+    expect(getLazyMode('visible', 'youtube')).to.be.equal('visible');
+    expect(getLazyMode('unknown', 'youtube')).to.be.null;
+
+    const lazy = {
+      youtube: 'click',
+      coub: false,
+      default: 'visible',
+    };
+
+    expect(getLazyMode(lazy, 'youtube')).to.be.equal('click');
+    expect(getLazyMode(lazy, 'coub')).to.be.null;
+    expect(getLazyMode(lazy, 'vimeo')).to.be.equal('visible');
+  });
+
+  it('should get video previews from embed URLs', () => {
+    expect(getYouTubeThumbnail('https://www.youtube.com/embed/wZZ7oFKsKzY?start=120'))
+      .to.be.equal('https://i.ytimg.com/vi/wZZ7oFKsKzY/hqdefault.jpg');
+    expect(getVimeoVideoUrl('https://player.vimeo.com/video/289836809?title=0&byline=0'))
+      .to.be.equal('https://vimeo.com/289836809');
+    expect(getYouTubeThumbnail('')).to.be.equal('');
+  });
+});
@@ -0,0 +1,123 @@
+import { expect } from 'chai';
+
+import { renderToHTML } from '../src/html';
+
+describe('Server-side rendering', () => {
+  it('should render service iframe with policy attributes', () => {
+    const html = renderToHTML({
+      version: 2,
+      service: 'youtube',
+      source: 'https://www.youtube.com/watch?v=wZZ7oFKsKzY&t=120',
+      embed: 'https://www.youtube.com/embed/wZZ7oFKsKzY?start=120',
+      caption: '<b>Video</b>',
+    }, { privacyMode: true });
+
+    expect(html).to.include('src="https://www.youtube-nocookie.com/embed/wZZ7oFKsKzY?start=120"');
+    expect(html).to.include('sandbox="allow-scripts allow-same-origin allow-popups allow-popups-to-escape-sandbox allow-presentation"');
+    expect(html).to.include('<figcaption class="embed-tool__caption" style="margin-top: 7px; text-align: center;">&lt;b&gt;Video&lt;/b&gt;</figcaption>');
+  });
+
+  it('should keep aspect ratio of service with dimensions', () => {
+    const html = renderToHTML({
+      service: 'coub',
+      source: 'https://coub.com/view/1efrxs',
+    });
+
+    expect(html).to.include('max-width: 580px; aspect-ratio: 580 / 320;');
+    expect(html).to.include('src="https://coub.com/embed/1efrxs"');
+  });
+
+  it('should render saved link card with escaped metadata', () => {
+    const html = renderToHTML({
+      service: 'etc',
+      source: 'https://example.com/article',
+      og: {
+        ogTitle: '"Title" <script>',
+        ogUrl: 'javascript:alert(1)',
+        ogImageUrl: 'https://example.com/a (1).png',
+      },
+    });
+
+    expect(html).to.include('href="https://example.com/article"');
+    expect(html).to.include('&quot;Title&quot; &lt;script&gt;');
+    expect(html).to.include('https://example.com/a %281%29.png');
+    expect(html).to.not.include('javascript:');
+  });
+
+  it('should isolate arbitrary oEmbed markup', () => {
+    const html = renderToHTML({
+      service: 'oembed',
+      source: 'https://example.com/post',
+      html: '<blockquote>Post</blockquote><script src="https://example.com/widget.js"></script>',
+    });
+
+    expect(html).to.include('sandbox="allow-scripts allow-popups"');
+    expect(html).to.include('srcdoc="&lt;blockquote&gt;Post&lt;/blockquote&gt;&lt;script');
+  });
+
+  it('should skip rejected and unknown data', () => {
+    expect(renderToHTML({
+      service: 'coub',
+      source: 'https://coub.com/view/1efrxs',
+    }, { blockedDomains: [ 'coub.com' ] })).to.be.equal('');
+    expect(renderToHTML({ service: 'youtube' })).to.be.equal('');
+    expect(renderToHTML(null)).to.be.equal('');
+  });
+
+  it('should render unavailable services as link card', () => {
+    expect(renderToHTML({ service: 'unknown', source: 'https://example.com' }))
+      .to.include('<a class="embed-tool__card" href="https://example.com"');
+  });
+
+  it('should accept services config of the tool', () => {
+    const coub = {
+      service: 'coub',
+      source: 'https://coub.com/view/1efrxs',
+    };
+    const custom = {
+      service: 'custom',
+      source: 'https://video.example.com/v/42',
+    };
+
+    expect(renderToHTML(coub, { services: { youtube: true } }))
+      .to.include('<a class="embed-tool__card" href="https://coub.com/view/1efrxs"');
+    expect(renderToHTML(custom, {
+      services: {
+        custom: { html: '<iframe></iframe>' },
+        broken: null,
+      },
+    })).to.include('<a class="embed-tool__card"');
+    expect(renderToHTML(custom, {
+      services: {
+        custom: {
+          regex: /^https:\/\/video\.example\.com\/v\/(\d+)/,
+          embedUrl: 'https://video.example.com/embed/<%= remote_id %>',
+          html: '<iframe width="640" height="360"></iframe>',
+        },
+      },
+    })).to.include('src="https://video.example.com/embed/42"');
+  });
+
+  it('should give iframes and card images accessible names', () => {
+    expect(renderToHTML({
+      service: 'youtube',
+      source: 'https://www.youtube.com/watch?v=wZZ7oFKsKzY',
+    })).to.include('title="YouTube 콘텐츠"');
+
+    expect(renderToHTML({
+      service: 'oembed',
+      source: 'https://example.com/post',
+      html: '<blockquote>Post</blockquote>',
+    }, { messages: { frameTitle: 'Embedded {service}' } })).to.include('title="Embedded example.com"');
+
+    expect(renderToHTML({
+      service: 'etc',
+      source: 'https://example.com/article',
+      og: {
+        ogTitle: 'Article',
+        ogImageUrl: 'https://example.com/cover.png',
+        ogImageAlt: 'Cover',
+      },
+    })).to.include('role="img" aria-label="Cover"');
+  });
+});
@@ -0,0 +1,58 @@
+import { expect } from 'chai';
+
+import EmbedTool from '../src/index';
+import { addScheme, normalizeUrl, stripTrackingParams, unwrapRedirect } from '../src/normalize';
+
+describe('Link normalization', () => {
+  it('should add https to links without scheme', () => {
+    expect(addScheme('www.youtube.com/watch?v=wZZ7oFKsKzY')).to.be.equal('https://www.youtube.com/watch?v=wZZ7oFKsKzY');
+    expect(addScheme('coub.com/view/1efrxs')).to.be.equal('https://coub.com/view/1efrxs');
+    expect(addScheme('//vimeo.com/289836809')).to.be.equal('https://vimeo.com/289836809');
+    expect(addScheme('http://example.com')).to.be.equal('http://example.com');
+    expect(addScheme('node.js')).to.be.equal('node.js');
+    expect(addScheme('javascript:alert(1)')).to.be.equal('javascript:alert(1)');
+  });
+
+  it('should unwrap redirectors and AMP links', () => {
+    expect(unwrapRedirect('https://l.facebook.com/l.php?u=https%3A%2F%2Fvimeo.com%2F289836809&h=AT0')).to.be.equal('https://vimeo.com/289836809');
+    expect(unwrapRedirect('https://www.google.com/url?sa=t&url=https%3A%2F%2Fexample.com%2Fpost')).to.be.equal('https://example.com/post');
+    expect(unwrapRedirect('https://www.google.com/amp/s/example.com/post.amp')).to.be.equal('https://example.com/post.amp');
+    expect(unwrapRedirect('https://example-com.cdn.ampproject.org/c/s/example.com/post')).to.be.equal('https://example.com/post');
+    expect(unwrapRedirect('https://l.facebook.com/l.php?u=javascript%3Aalert(1)')).to.be.equal('https://l.facebook.com/l.php?u=javascript%3Aalert(1)');
+  });
+
+  it('should strip tracking params only', () => {
+    expect(stripTrackingParams('https://example.com/?utm_source=x&id=1&fbclid=abc#top')).to.be.equal('https://example.com/?id=1#top');
+    expect(stripTrackingParams('https://example.com/?utm_medium=x&ref=feed', [ 'ref' ])).to.be.equal('https://example.com/');
+    expect(stripTrackingParams('https://example.com/?q=a+b%20c')).to.be.equal('https://example.com/?q=a+b%20c');
+  });
+
+  it('should run the whole pipeline and custom rules', () => {
+    expect(normalizeUrl('  m.youtube.com/watch?v=wZZ7oFKsKzY&utm_source=share ')).to.be.equal('https://www.youtube.com/watch?v=wZZ7oFKsKzY');
+    expect(normalizeUrl('https://mobile.twitter.com/codex_team/status/1202295536826630145?s=20', {
+      rules: [ (url) => url.replace(/\?s=\d+$/, ''), () => null ],
+    })).to.be.equal('https://twitter.com/codex_team/status/1202295536826630145');
+    expect(normalizeUrl(' m.youtube.com/watch?v=1 ', false)).to.be.equal('m.youtube.com/watch?v=1');
+    expect(normalizeUrl('see www.example.com')).to.be.equal('see www.example.com');
+  });
+
+  it('should match and save normalized links', () => {
+    EmbedTool.prepare({ config: {} });
+
+    const tool = new EmbedTool({ data: {}, config: {} });
+
+    tool.onPaste({
+      detail: {
+        key: 'etc',
+        data: 'https://l.facebook.com/l.php?u=https%3A%2F%2Fvimeo.com%2F289836809%3Futm_source%3Dfb',
+      },
+    });
+
+    expect(tool.data.service).to.be.equal('vimeo');
+    expect(tool.data.source).to.be.equal('https://vimeo.com/289836809');
+    expect(EmbedTool.resolve('www.youtube.com/watch?v=wZZ7oFKsKzY&fbclid=1').source)
+      .to.be.equal('https://www.youtube.com/watch?v=wZZ7oFKsKzY');
+    expect(EmbedTool.resolve('https://www.youtube.com/watch?v=wZZ7oFKsKzY&utm_source=x', { normalize: false }).source)
+      .to.be.equal('https://www.youtube.com/watch?v=wZZ7oFKsKzY&utm_source=x');
+  });
+});
@@ -0,0 +1,95 @@
+import http from 'http';
+import { expect } from 'chai';
+
+import { buildRequestUrl, fetchOEmbed, findDiscoveryUrl, findProvider, getOEmbedHtml } from '../src/oembed';
+
+describe('oEmbed', () => {
+  let server = null;
+  let origin = '';
+
+  before((done) => {
+    server = http.createServer((request, response) => {
+      const { pathname, searchParams } = new URL(request.url, origin);
+
+      if (pathname === '/article') {
+        response.setHeader('Content-Type', 'text/html');
+        response.end(`<html><head>
+          <link rel="alternate" type="application/json+oembed" href="/oembed?url=${encodeURIComponent(origin + '/article')}&amp;format=json">
+        </head></html>`);
+
+        return;
+      }
+
+      if (pathname === '/oembed') {
+        response.setHeader('Content-Type', 'application/json');
+        response.end(JSON.stringify({
+          type: 'video',
+          html: '<iframe src="https://player.example.com/1"></iframe>',
+          width: '640',
+          height: 360,
+          title: searchParams.get('url'),
+        }));
+
+        return;
+      }
+
+      response.statusCode = 404;
+      response.end();
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      origin = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.close(done);
+  });
+
+  it('should match bundled provider schemes', () => {
+    expect(findProvider('https://www.flickr.com/photos/bees/2341623661/').name).to.be.equal('Flickr');
+    expect(findProvider('https://www.ted.com/talks/ken_robinson_says_schools_kill_creativity').name).to.be.equal('TED');
+    expect(findProvider('https://example.com/photos/1')).to.be.undefined;
+  });
+
+  it('should compose request URL', () => {
+    expect(buildRequestUrl('https://www.ted.com/services/v1/oembed.{format}', 'https://www.ted.com/talks/a', { maxwidth: 600 }))
+      .to.be.equal('https://www.ted.com/services/v1/oembed.json?url=https%3A%2F%2Fwww.ted.com%2Ftalks%2Fa&format=json&maxwidth=600');
+  });
+
+  it('should find discovery link', () => {
+    const page = '<link href="/oembed?url=a&amp;format=json" type="application/json+oembed" rel="alternate">';
+
+    expect(findDiscoveryUrl(page, 'https://example.com/post')).to.be.equal('https://example.com/oembed?url=a&format=json');
+    expect(findDiscoveryUrl('<link rel="stylesheet" href="/style.css">', 'https://example.com')).to.be.null;
+  });
+
+  it('should resolve resource by provider', async () => {
+    const data = await fetchOEmbed(origin + '/video/1', {
+      providers: [ { name: 'Stub', endpoint: origin + '/oembed', schemes: [ origin + '/video/*' ] } ],
+    });
+
+    expect(data.type).to.be.equal('video');
+    expect(data.width).to.be.equal(640);
+    expect(data.height).to.be.equal(360);
+    expect(data.title).to.be.equal(origin + '/video/1');
+  });
+
+  it('should resolve resource by discovery only when enabled', async () => {
+    expect(await fetchOEmbed(origin + '/article', { providers: [] })).to.be.null;
+
+    const data = await fetchOEmbed(origin + '/article', {
+      providers: [],
+      discovery: true,
+    });
+
+    expect(data.html).to.be.equal('<iframe src="https://player.example.com/1"></iframe>');
+    expect(data.title).to.be.equal(origin + '/article');
+  });
+
+  it('should render photo as image', () => {
+    expect(getOEmbedHtml({ type: 'photo', url: 'https://example.com/a.jpg', title: '"Bees"' }))
+      .to.be.equal('<img src="https://example.com/a.jpg" alt="&quot;Bees&quot;">');
+  });
+});
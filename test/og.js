@@ -0,0 +1,103 @@
+import { expect } from 'chai';
+
+import { DEFAULT_OG_ENDPOINT, fetchOgData, normalizeOgData } from '../src/og';
+
+describe('Open Graph data', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should fall back to Twitter card fields', () => {
+    const data = normalizeOgData({
+      twitterTitle: 'Title',
+      twitterDescription: 'Description',
+      twitterImage: {
+        url: 'https://example.com/image.png',
+        alt: 'Image',
+      },
+      requestUrl: 'https://example.com',
+      favicon: 'http://example.com/favicon.ico',
+    });
+
+    expect(data).to.be.deep.equal({
+      ogTitle: 'Title',
+      ogDescription: 'Description',
+      ogImageUrl: 'https://example.com/image.png',
+      ogImageAlt: 'Image',
+      ogUrl: 'https://example.com',
+      ogIcon: '',
+      ogSiteName: 'Title',
+    });
+  });
+
+  it('should request configured endpoint', async () => {
+    const requested = [];
+
+    global.fetch = async (url) => {
+      requested.push(url);
+
+      return {
+        status: 200,
+        json: async () => ({ ogTitle: 'Title' }),
+      };
+    };
+
+    await fetchOgData('https://example.com');
+    const data = await fetchOgData('https://example.com', { ogEndpoint: 'https://og.example.com/?u=' });
+
+    expect(requested).to.be.deep.equal([
+      DEFAULT_OG_ENDPOINT + 'https://example.com',
+      'https://og.example.com/?u=https%3A%2F%2Fexample.com',
+    ]);
+    expect(data.ogTitle).to.be.equal('Title');
+  });
+
+  it('should keep query of the link requested from configured endpoint', async () => {
+    const requested = [];
+
+    global.fetch = async (url) => {
+      requested.push(url);
+
+      return {
+        status: 200,
+        json: async () => ({ ogTitle: 'Title' }),
+      };
+    };
+
+    await fetchOgData('https://a.com/?x=1&y=2#top', { ogEndpoint: 'https://og.example.com/?u=' });
+
+    expect(requested).to.be.deep.equal([ 'https://og.example.com/?u=https%3A%2F%2Fa.com%2F%3Fx%3D1%26y%3D2%23top' ]);
+    expect(new URL(requested[0]).searchParams.get('u')).to.be.equal('https://a.com/?x=1&y=2#top');
+  });
+
+  it('should use custom fetcher instead of endpoint', async () => {
+    global.fetch = () => {
+      throw new Error('fetch should not be called');
+    };
+
+    const data = await fetchOgData('https://example.com', {
+      ogEndpoint: 'https://og.example.com/?u=',
+      ogFetcher: async (url) => ({ ogTitle: 'Custom', ogUrl: url }),
+    });
+
+    expect(data.ogTitle).to.be.equal('Custom');
+    expect(data.ogUrl).to.be.equal('https://example.com');
+    expect(data.ogDescription).to.be.equal('');
+  });
+
+  it('should reject on failed response', async () => {
+    global.fetch = async () => ({ status: 404 });
+
+    let error = null;
+
+    try {
+      await fetchOgData('https://example.com');
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).to.not.be.null;
+  });
+});
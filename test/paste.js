@@ -0,0 +1,77 @@
+import { expect } from 'chai';
+
+import EmbedTool from '../src/index';
+import { getPastedBlocks, splitPastedText } from '../src/paste';
+
+describe('Pasting list of links', () => {
+  before(() => {
+    EmbedTool.prepare({ config: {} });
+  });
+
+  it('should split lines and spreadsheet cells', () => {
+    expect(splitPastedText('a\r\n\nb\tc \n ')).to.be.deep.equal(['a', 'b', 'c']);
+    expect(splitPastedText(undefined)).to.be.deep.equal([]);
+  });
+
+  it('should convert recognized links to embed blocks', () => {
+    const blocks = getPastedBlocks([
+      'https://coub.com/view/1czcdf',
+      'Interview with the author',
+      'https://example.com/article',
+      'see https://example.com/article',
+    ].join('\n'), EmbedTool.services);
+
+    expect(blocks.map(({ type }) => type)).to.be.deep.equal(['embed', 'paragraph', 'embed', 'paragraph']);
+    expect(blocks[0].data).to.be.deep.equal({
+      service: 'coub',
+      source: 'https://coub.com/view/1czcdf',
+      embed: 'https://coub.com/embed/1czcdf',
+      width: 580,
+      height: 320,
+    });
+    expect(blocks[2].data.service).to.be.equal('etc');
+  });
+
+  it('should leave rejected links as text', () => {
+    const rejections = [];
+    const blocks = getPastedBlocks('https://coub.com/view/1czcdf\nhttps://vimeo.com/289836809', EmbedTool.services, {
+      allowedDomains: [ 'vimeo.com' ],
+      onReject: (url, reason) => rejections.push([url, reason]),
+    });
+
+    expect(blocks.map(({ type }) => type)).to.be.deep.equal(['paragraph', 'embed']);
+    expect(rejections).to.be.deep.equal([ ['https://coub.com/view/1czcdf', 'not-allowed'] ]);
+  });
+
+  it('should insert blocks in place of the empty block', () => {
+    const calls = [];
+    const tool = new EmbedTool({
+      data: {},
+      block: { name: 'video' },
+      api: {
+        blocks: {
+          getCurrentBlockIndex: () => 2,
+          insert: (...args) => calls.push(['insert', ...args]),
+          delete: (index) => calls.push(['delete', index]),
+        },
+      },
+    });
+    let prevented = false;
+
+    tool._onPasteEvent({
+      clipboardData: { getData: () => 'https://coub.com/view/1czcdf\n<b>note</b>' },
+      preventDefault: () => {
+        prevented = true;
+      },
+    });
+
+    expect(prevented).to.be.true;
+    expect(calls.map(([method, type, data, , index]) => [method, type, method === 'delete' ? type : index]))
+      .to.be.deep.equal([
+        ['insert', 'video', 3],
+        ['insert', undefined, 4],
+        ['delete', 2, 2],
+      ]);
+    expect(calls[1][2]).to.be.deep.equal({ text: '&lt;b&gt;note&lt;/b&gt;' });
+  });
+});
@@ -0,0 +1,98 @@
+import { expect } from 'chai';
+
+import SERVICES from '../src/services';
+import { formatTime, parseTime, pickPlayback } from '../src/playback';
+import { getEmbedUrl } from '../src/resolver';
+import { renderToHTML } from '../src/html';
+import { validateEmbedData } from '../src/schema';
+
+describe('Playback options', () => {
+  it('should parse and format time', () => {
+    expect(parseTime('90')).to.be.equal(90);
+    expect(parseTime('1:30')).to.be.equal(90);
+    expect(parseTime('1:02:03')).to.be.equal(3723);
+    expect(parseTime('1h2m3s')).to.be.equal(3723);
+    expect(parseTime('2m')).to.be.equal(120);
+    expect(parseTime('')).to.be.undefined;
+    expect(parseTime('soon')).to.be.undefined;
+
+    expect(formatTime(90)).to.be.equal('1:30');
+    expect(formatTime(3723)).to.be.equal('1:02:03');
+    expect(formatTime(undefined)).to.be.equal('');
+  });
+
+  it('should keep supported options only', () => {
+    expect(pickPlayback({
+      start: 10,
+      end: 20,
+      loop: true,
+      mute: undefined,
+    }, ['start', 'mute'])).to.be.deep.equal({ start: 10 });
+  });
+
+  it('should translate options to YouTube params', () => {
+    const embed = getEmbedUrl(SERVICES.youtube, 'https://www.youtube.com/watch?v=wZZ7oFKsKzY&t=120', {
+      playback: {
+        start: 30,
+        end: 60,
+        mute: true,
+        loop: true,
+        controls: false,
+      },
+    });
+
+    expect(embed).to.be.equal('https://www.youtube.com/embed/wZZ7oFKsKzY?start=30&end=60&mute=1&loop=1&playlist=wZZ7oFKsKzY&controls=0');
+  });
+
+  it('should translate options to Vimeo params', () => {
+    const embed = getEmbedUrl(SERVICES.vimeo, 'https://vimeo.com/289836809', {
+      privacyMode: true,
+      playback: {
+        start: 90,
+        end: 120,
+        autoplay: true,
+      },
+    });
+
+    expect(embed).to.be.equal('https://player.vimeo.com/video/289836809?title=0&byline=0&dnt=1&autoplay=1#t=90s');
+  });
+
+  it('should translate options to Twitch params', () => {
+    expect(getEmbedUrl(SERVICES['twitch-video'], 'https://www.twitch.tv/videos/315468440', {
+      playback: { start: 3723 },
+    })).to.be.equal('https://player.twitch.tv/?video=v315468440&time=1h2m3s&autoplay=false');
+
+    expect(getEmbedUrl(SERVICES['twitch-channel'], 'https://www.twitch.tv/ninja', {
+      playback: {
+        start: 10,
+        autoplay: true,
+        mute: true,
+      },
+    })).to.be.equal('https://player.twitch.tv/?channel=ninja&autoplay=true&muted=true');
+  });
+
+  it('should not change embed URL without options', () => {
+    expect(getEmbedUrl(SERVICES.youtube, 'https://youtu.be/wZZ7oFKsKzY', { playback: {} }))
+      .to.be.equal('https://www.youtube.com/embed/wZZ7oFKsKzY');
+  });
+
+  it('should validate saved options', () => {
+    expect(validateEmbedData({
+      playback: {
+        start: 10,
+        mute: true,
+      },
+    }).valid).to.be.true;
+    expect(validateEmbedData({ playback: { start: '10' } }).errors[0].path).to.be.equal('playback');
+  });
+
+  it('should apply options in server-side rendering', () => {
+    const html = renderToHTML({
+      service: 'youtube',
+      source: 'https://youtu.be/wZZ7oFKsKzY',
+      playback: { start: 15 },
+    });
+
+    expect(html).to.include('src="https://www.youtube.com/embed/wZZ7oFKsKzY?start=15"');
+  });
+});
@@ -0,0 +1,124 @@
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import EmbedTool from '../src/index';
+import { checkConsent, getPrivacyOptions, grantConsent, resetConsents } from '../src/privacy';
+
+describe('Privacy mode', () => {
+  afterEach(() => {
+    resetConsents();
+  });
+
+  it('should rewrite embed URLs of supported services', () => {
+    EmbedTool.prepare({});
+
+    const tool = new EmbedTool({ data: {}, config: { privacyMode: true } });
+    const defaultTool = new EmbedTool({ data: {} });
+
+    expect(tool._getEmbedData('youtube', 'https://www.youtube.com/watch?v=wZZ7oFKsKzY&t=120').embed)
+      .to.be.equal('https://www.youtube-nocookie.com/embed/wZZ7oFKsKzY?start=120');
+    expect(tool._getEmbedData('vimeo', 'https://vimeo.com/289836809').embed)
+      .to.be.equal('https://player.vimeo.com/video/289836809?title=0&byline=0&dnt=1');
+    expect(defaultTool._getEmbedData('youtube', 'https://www.youtube.com/watch?v=wZZ7oFKsKzY').embed)
+      .to.be.equal('https://www.youtube.com/embed/wZZ7oFKsKzY');
+  });
+
+  it('should ask host app for consent', async () => {
+    const asked = [];
+    const options = getPrivacyOptions({
+      hasConsent: async (domain) => {
+        asked.push(domain);
+
+        return domain === 'coub.com';
+      },
+    });
+
+    expect(await checkConsent('coub.com', options)).to.be.true;
+    expect(await checkConsent('player.twitch.tv', options)).to.be.false;
+    expect(asked).to.be.deep.equal(['coub.com', 'player.twitch.tv']);
+  });
+
+  it('should remember consent during the session', async () => {
+    const consented = [];
+    const options = getPrivacyOptions({
+      onConsent: (domain) => consented.push(domain),
+    });
+
+    expect(await checkConsent('player.twitch.tv', options)).to.be.false;
+
+    grantConsent('player.twitch.tv', options);
+
+    expect(await checkConsent('player.twitch.tv', options)).to.be.true;
+    expect(consented).to.be.deep.equal([ 'player.twitch.tv' ]);
+    expect(getPrivacyOptions(false)).to.be.null;
+  });
+
+  it('should not request oEmbed providers', async () => {
+    let calls = 0;
+    const tool = new EmbedTool({
+      data: {},
+      config: {
+        privacyMode: true,
+        oembed: {
+          fetch: () => {
+            calls++;
+
+            return Promise.reject(new Error('Should not be requested'));
+          },
+        },
+      },
+    });
+
+    expect(await tool._getOEmbedData('https://www.flickr.com/photos/bees/2341623661/')).to.be.equal(null);
+    expect(calls).to.be.equal(0);
+  });
+
+  it('should request oEmbed image after consent', async () => {
+    const dom = new JSDOM('<!DOCTYPE html><body></body>');
+
+    global.document = dom.window.document;
+    global.MutationObserver = dom.window.MutationObserver;
+    EmbedTool.prepare({});
+
+    const tool = new EmbedTool({
+      data: {
+        service: 'oembed',
+        source: 'https://www.flickr.com/photos/bees/2341623661/',
+        embed: 'https://live.staticflickr.com/2341623661.jpg',
+        html: '<img src="https://live.staticflickr.com/2341623661.jpg" alt="Bees">',
+      },
+      api: { styles: {} },
+      config: { privacyMode: true },
+    });
+    const created = [];
+    const createElement = tool._createElement.bind(tool);
+
+    tool._createElement = (...args) => {
+      const element = createElement(...args);
+
+      created.push(element);
+
+      return element;
+    };
+
+    document.body.appendChild(tool.render());
+    await new Promise((resolve) => setTimeout(resolve));
+
+    const image = created.find(({ tagName }) => tagName === 'IMG');
+
+    expect(image.getAttribute('src')).to.be.equal(null);
+    expect(tool.element.querySelector('img')).to.be.equal(null);
+
+    tool.element.querySelector('.embed-tool__consent-btn').click();
+    await new Promise((resolve) => setTimeout(resolve));
+
+    expect(tool.element.querySelector('img')).to.be.equal(image);
+    expect(image.getAttribute('src')).to.be.equal('https://live.staticflickr.com/2341623661.jpg');
+    expect(image.alt).to.be.equal('Bees');
+
+    tool._cleanup();
+    delete global.document;
+    delete global.MutationObserver;
+    dom.window.close();
+  });
+});
@@ -0,0 +1,74 @@
+import { expect } from 'chai';
+
+import EmbedTool from '../src/index';
+import SERVICES from '../src/services';
+import { getMatch, resolveUrl } from '../src/resolver';
+
+describe('URL resolution', () => {
+  before(() => {
+    EmbedTool.prepare({ config: {} });
+  });
+
+  it('should resolve links of known services', () => {
+    expect(EmbedTool.resolve('https://coub.com/view/1czcdf')).to.be.deep.equal({
+      service: 'coub',
+      source: 'https://coub.com/view/1czcdf',
+      embed: 'https://coub.com/embed/1czcdf',
+      width: 580,
+      height: 320,
+      match: {
+        groups: [ '1czcdf' ],
+        id: '1czcdf',
+      },
+      rejected: null,
+    });
+  });
+
+  it('should resolve links of unknown services to link card', () => {
+    expect(EmbedTool.resolve(' https://example.com/article ')).to.be.deep.equal({
+      service: 'etc',
+      source: 'https://example.com/article',
+      match: null,
+      rejected: null,
+    });
+    expect(EmbedTool.resolve('not a link')).to.be.null;
+    expect(EmbedTool.resolve(undefined)).to.be.null;
+  });
+
+  it('should apply privacy mode and domain lists', () => {
+    const result = EmbedTool.resolve('https://youtu.be/wZZ7oFKsKzY', {
+      privacyMode: true,
+      blockedDomains: [ 'youtu.be' ],
+    });
+
+    expect(result.embed).to.be.equal('https://www.youtube-nocookie.com/embed/wZZ7oFKsKzY');
+    expect(result.rejected).to.be.equal('blocked');
+  });
+
+  it('should resolve links in batch', () => {
+    const results = EmbedTool.resolveAll([
+      'https://www.twitch.tv/ninja',
+      'plain text',
+      'https://vimeo.com/289836809',
+    ]);
+
+    expect(results.map((result) => result && result.service))
+      .to.be.deep.equal(['twitch-channel', null, 'vimeo']);
+  });
+
+  it('should not change the services', () => {
+    const services = {
+      custom: {
+        regex: /https:\/\/custom\.example\/(\w+)/,
+        embedUrl: 'https://custom.example/embed/<%= remote_id %>',
+        html: '<iframe></iframe>',
+      },
+    };
+
+    expect(resolveUrl('https://custom.example/abc', services).embed)
+      .to.be.equal('https://custom.example/embed/abc');
+    expect(resolveUrl('https://coub.com/view/1czcdf', services).service).to.be.equal('etc');
+    expect(getMatch(SERVICES.youtube, 'https://www.youtube.com/watch?v=wZZ7oFKsKzY&t=120').id)
+      .to.be.equal('wZZ7oFKsKzY?start=120');
+  });
+});
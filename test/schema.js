@@ -0,0 +1,116 @@
+import { expect } from 'chai';
+
+import EmbedTool from '../src/index';
+import { SCHEMA_VERSION, migrateEmbedData, validateEmbedData } from '../src/schema';
+
+describe('Data schema', () => {
+  before(() => {
+    EmbedTool.prepare({});
+  });
+
+  it('should migrate blocks without source', () => {
+    expect(migrateEmbedData({
+      service: 'coub',
+      embed: 'https://coub.com/embed/1efrxs',
+      caption: 'Coub',
+    })).to.be.deep.equal({
+      version: SCHEMA_VERSION,
+      service: 'coub',
+      source: 'https://coub.com/embed/1efrxs',
+      embed: 'https://coub.com/embed/1efrxs',
+      caption: 'Coub',
+    });
+
+    expect(migrateEmbedData({ service: 'etc', url: 'https://example.com' }).source).to.be.equal('https://example.com');
+  });
+
+  it('should migrate upstream blocks', () => {
+    const data = migrateEmbedData({
+      service: 'youtube',
+      source: 'https://www.youtube.com/watch?v=wZZ7oFKsKzY',
+      embed: 'https://www.youtube.com/embed/wZZ7oFKsKzY',
+      width: '580',
+      height: 320,
+      caption: '<b>My</b>&nbsp;video &amp; more',
+    });
+
+    expect(data.width).to.be.equal(580);
+    expect(data.caption).to.be.equal('My video & more');
+    expect(validateEmbedData(data).valid).to.be.true;
+  });
+
+  it('should not migrate current version', () => {
+    const data = {
+      version: SCHEMA_VERSION,
+      service: 'etc',
+      source: 'https://example.com',
+      caption: 'a <b> b',
+    };
+
+    expect(migrateEmbedData(data)).to.be.deep.equal(data);
+  });
+
+  it('should report precise errors', () => {
+    const { valid, errors } = validateEmbedData({
+      source: 'https://example.com',
+      width: -1,
+      og: { ogTitle: 1 },
+    });
+
+    expect(valid).to.be.false;
+    expect(errors).to.be.deep.equal([
+      { path: 'width', message: 'should be a positive number' },
+      { path: 'og', message: 'field "ogTitle" should be a string' },
+      { path: 'service', message: 'is required when source is set' },
+    ]);
+  });
+
+  it('should report invalid saved data to onError', () => {
+    const reports = [];
+
+    const tool = new EmbedTool({
+      data: {
+        service: 'etc',
+        source: 'https://example.com',
+        og: { ogTitle: 1 },
+      },
+      config: {
+        onError: (report) => reports.push(report),
+      },
+    });
+
+    expect(tool.save().source).to.be.equal('https://example.com');
+    expect(reports).to.have.lengthOf(1);
+    expect(reports[0]).to.include({
+      service: 'etc',
+      source: 'https://example.com',
+      state: 'invalid',
+    });
+    expect(reports[0].error.message).to.be.equal('og field "ogTitle" should be a string');
+  });
+
+  it('should render unavailable services of saved blocks as link card', () => {
+    const tool = new EmbedTool({
+      data: {
+        service: 'vimeo',
+        source: 'https://vimeo.com/289836809',
+      },
+      config: {},
+    });
+
+    EmbedTool.prepare({ config: { services: { youtube: true } } });
+
+    const disabled = new EmbedTool({
+      data: {
+        service: 'coub',
+        source: 'https://coub.com/view/1efrxs',
+      },
+    });
+
+    expect(tool.save().service).to.be.equal('vimeo');
+    expect(disabled.save().service).to.be.equal('etc');
+    expect(disabled.save().version).to.be.equal(SCHEMA_VERSION);
+
+    EmbedTool.prepare({});
+  });
+});
@@ -0,0 +1,93 @@
+import { expect } from 'chai';
+
+import EmbedTool from '../src/index';
+import { DEFAULT_POLICY, VIDEO_POLICY, cssUrl, getPolicyAttributes, getSingleElement, isSingleIframe } from '../src/security';
+import { renderToHTML } from '../src/html';
+
+describe('Iframe policy', () => {
+  it('should compose attributes of service policy', () => {
+    expect(getPolicyAttributes(VIDEO_POLICY)).to.be.deep.equal({
+      sandbox: 'allow-scripts allow-same-origin allow-popups allow-popups-to-escape-sandbox allow-presentation',
+      allow: 'autoplay; fullscreen; encrypted-media; picture-in-picture',
+      referrerpolicy: 'strict-origin-when-cross-origin',
+    });
+  });
+
+  it('should apply global overrides', () => {
+    const attributes = getPolicyAttributes(VIDEO_POLICY, {
+      sandbox: false,
+      referrerpolicy: 'no-referrer',
+    });
+
+    expect(attributes).to.not.have.property('sandbox');
+    expect(attributes.allow).to.be.equal('autoplay; fullscreen; encrypted-media; picture-in-picture');
+    expect(attributes.referrerpolicy).to.be.equal('no-referrer');
+    expect(getPolicyAttributes(undefined, { allow: [ 'fullscreen' ] }).sandbox)
+      .to.be.equal(DEFAULT_POLICY.sandbox.join(' '));
+  });
+
+  it('should accept only a single iframe as service markup', () => {
+    expect(isSingleIframe('<iframe width="600" height="300"></iframe>')).to.be.true;
+    expect(isSingleIframe('<iframe></iframe><script src="https://example.com/a.js"></script>')).to.be.false;
+    expect(isSingleIframe('<div><iframe></iframe></div>')).to.be.false;
+  });
+
+  it('should drop event handlers of oEmbed iframe and image', () => {
+    expect(getSingleElement('<img src=x onerror="alert(1)">')).to.be.equal(null);
+    expect(getSingleElement('<img src="https://example.com/a.png?w=1&amp;h=2" alt="Photo" onerror="alert(1)">')).to.be.deep.equal({
+      tagName: 'img',
+      attributes: {
+        src: 'https://example.com/a.png?w=1&h=2',
+        title: '',
+        alt: 'Photo',
+      },
+    });
+    expect(getSingleElement('<iframe src="https://example.com/embed" onload="alert(1)" allowfullscreen></iframe>')).to.be.deep.equal({
+      tagName: 'iframe',
+      attributes: {
+        src: 'https://example.com/embed',
+        title: '',
+      },
+    });
+    expect(getSingleElement('<iframe src="javascript:alert(1)"></iframe>')).to.be.equal(null);
+    expect(getSingleElement('<iframe src="https://example.com/embed" srcdoc="<script>alert(1)</script>"></iframe>')).to.be.equal(null);
+
+    const html = renderToHTML({
+      service: 'oembed',
+      source: 'https://example.com/post',
+      html: '<iframe src="https://example.com/embed" onload="alert(1)"></iframe>',
+    });
+
+    expect(html).to.include('src="https://example.com/embed"');
+    expect(html).to.not.include('onload');
+  });
+
+  it('should skip custom services with invalid markup', () => {
+    const service = {
+      regex: /https?:\/\/example\.com\/([^/]+)/,
+      embedUrl: 'https://example.com/embed/<%= remote_id %>',
+    };
+
+    EmbedTool.prepare({
+      config: {
+        services: {
+          good: { ...service, html: '<iframe></iframe>' },
+          bad: { ...service, html: '<img src="x" onerror="alert(1)">' },
+        },
+      },
+    });
+
+    expect(EmbedTool.services).to.have.property('good');
+    expect(EmbedTool.services).to.not.have.property('bad');
+
+    EmbedTool.prepare({});
+  });
+
+  it('should keep CSS image links inside url value', () => {
+    expect(cssUrl('https://example.com/a.png')).to.be.equal('https://example.com/a.png');
+    expect(cssUrl('https://example.com/a.png"); background: red; x: url("b'))
+      .to.be.equal('https://example.com/a.png%22%29; background: red; x: url%28%22b');
+    expect(cssUrl('https://example.com/a\\b\n.png')).to.be.equal('https://example.com/a%5cb%0a.png');
+    expect(cssUrl('javascript:alert(1)')).to.be.equal('');
+  });
+});
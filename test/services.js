@@ -1,6 +1,7 @@
 import { expect } from 'chai';
 
 import EmbedTool from '../src/index';
+import { renderToHTML } from '../src/html';
 
 EmbedTool.prepare({});
 const { patterns } = EmbedTool.pasteConfig;
@@ -103,16 +104,18 @@ describe('Services Regexps', () => {
     });
   });
 
-  it('Gfycat', async () => {
-    const service = 'gfycat';
+  it('YouTube Shorts', async () => {
+    const service = 'youtube-shorts';
 
     const urls = [
-      { source: 'https://gfycat.com/EsteemedMarvelousHagfish', embed: 'https://gfycat.com/ifr/EsteemedMarvelousHagfish' },
-      { source: 'https://gfycat.com/OddCornyLeech', embed: 'https://gfycat.com/ifr/OddCornyLeech' }
+      { source: 'https://www.youtube.com/shorts/aqz-KE-bpKQ', embed: 'https://www.youtube.com/embed/aqz-KE-bpKQ' },
+      { source: 'https://youtube.com/shorts/aqz-KE-bpKQ?feature=share', embed: 'https://www.youtube.com/embed/aqz-KE-bpKQ' },
     ];
 
     urls.forEach(url => {
       expect(patterns[service].test(url.source)).to.be.true;
+      expect(patterns.youtube.test(url.source)).to.be.false;
+
       const event = composePasteEventMock('pattern', service, url.source);
 
       embed.onPaste(event);
@@ -259,6 +262,10 @@ describe('Services Regexps', () => {
         source: 'https://twitter.com/codex_team/status/1202295536826630145?s=20&t=wrY8ei5GBjbbmNonrEm2kQ',
         embed: 'https://twitframe.com/show?url=https://twitter.com/codex_team/status/1202295536826630145?s=20&t=wrY8ei5GBjbbmNonrEm2kQ'
       },
+      {
+        source: 'https://x.com/codex_team/status/1202295536826630145',
+        embed: 'https://twitframe.com/show?url=https://twitter.com/codex_team/status/1202295536826630145'
+      },
     ];
 
     urls.forEach(url => {
@@ -284,7 +291,8 @@ describe('Services Regexps', () => {
       },
       {
         source: 'https://www.instagram.com/p/CfQzzGNphD8/?utm_source=ig_web_copy_link',
-        embed: 'https://www.instagram.com/p/CfQzzGNphD8/embed'
+        embed: 'https://www.instagram.com/p/CfQzzGNphD8/embed',
+        normalized: 'https://www.instagram.com/p/CfQzzGNphD8/'
       },
     ];
 
@@ -297,7 +305,7 @@ describe('Services Regexps', () => {
 
       expect(embed.data.service).to.be.equal(service);
       expect(embed.data.embed).to.be.equal(url.embed);
-      expect(embed.data.source).to.be.equal(url.source);
+      expect(embed.data.source).to.be.equal(url.normalized || url.source);
     });
   });
   it('Aparat', async () => {
@@ -328,13 +336,23 @@ describe('Services Regexps', () => {
       vimeo: 'https://vimeo.com/289836809',
       coub: 'https://coub.com/view/1efrxs',
       imgur: 'https://imgur.com/gallery/OHbkxgr',
-      gfycat: 'https://gfycat.com/EsteemedMarvelousHagfish',
       'twitch-channel': 'https://www.twitch.tv/ninja',
       'twitch-video': 'https://www.twitch.tv/videos/315468440',
       'yandex-music-album': 'https://music.yandex.ru/album/5643859',
       'yandex-music-track': 'https://music.yandex.ru/album/5643859/track/42662275',
       'yandex-music-playlist': 'https://music.yandex.ru/users/yamusic-personal/playlists/25098905',
-      'codepen': 'https://codepen.io/Rikkokiri/pen/RYBrwG'
+      'codepen': 'https://codepen.io/Rikkokiri/pen/RYBrwG',
+      'youtube-shorts': 'https://www.youtube.com/shorts/aqz-KE-bpKQ',
+      twitter: 'https://x.com/codex_team/status/1202295536826630145',
+      tiktok: 'https://www.tiktok.com/@scout2015/video/6718335390845095173',
+      spotify: 'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC',
+      soundcloud: 'https://soundcloud.com/forss/flickermood',
+      'google-maps': 'https://www.google.com/maps/@37.5662952,126.9779451,15z',
+      figma: 'https://www.figma.com/file/LKQ4FJ4bTnCSjedbRpk931/Sample-File',
+      loom: 'https://www.loom.com/share/0281766fa2d04bb788eaf19e65135184',
+      gist: 'https://gist.github.com/octocat/6cad326836d38bd3a7ae',
+      'naver-tv': 'https://tv.naver.com/v/31030608',
+      'kakao-tv': 'https://tv.kakao.com/v/430094624'
     };
 
     Object
@@ -399,6 +417,271 @@ describe('Services Regexps', () => {
     });
   });
 
+  it('TikTok', async () => {
+    const service = 'tiktok';
+
+    const urls = [
+      {
+        source: 'https://www.tiktok.com/@scout2015/video/6718335390845095173',
+        embed: 'https://www.tiktok.com/embed/v2/6718335390845095173'
+      },
+      {
+        source: 'https://www.tiktok.com/@scout2015/video/6718335390845095173?is_from_webapp=1&sender_device=pc',
+        embed: 'https://www.tiktok.com/embed/v2/6718335390845095173'
+      },
+    ];
+
+    urls.forEach(url => {
+      expect(patterns[service].test(url.source)).to.be.true;
+
+      const event = composePasteEventMock('pattern', service, url.source);
+
+      embed.onPaste(event);
+
+      expect(embed.data.service).to.be.equal(service);
+      expect(embed.data.embed).to.be.equal(url.embed);
+      expect(embed.data.source).to.be.equal(url.source);
+    });
+  });
+
+  it('Spotify', async () => {
+    const service = 'spotify';
+
+    const urls = [
+      {
+        source: 'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC?si=1a2b3c',
+        embed: 'https://open.spotify.com/embed/track/4uLU6hMCjMI75M1A2tKUQC'
+      },
+      {
+        source: 'https://open.spotify.com/intl-ko/album/1DFixLWuPkv3KT3TnV35m3',
+        embed: 'https://open.spotify.com/embed/album/1DFixLWuPkv3KT3TnV35m3'
+      },
+      {
+        source: 'https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M',
+        embed: 'https://open.spotify.com/embed/playlist/37i9dQZF1DXcBWIGoYBM5M'
+      },
+    ];
+
+    urls.forEach(url => {
+      expect(patterns[service].test(url.source)).to.be.true;
+
+      const event = composePasteEventMock('pattern', service, url.source);
+
+      embed.onPaste(event);
+
+      expect(embed.data.service).to.be.equal(service);
+      expect(embed.data.embed).to.be.equal(url.embed);
+      expect(embed.data.source).to.be.equal(url.source);
+    });
+  });
+
+  it('SoundCloud', async () => {
+    const service = 'soundcloud';
+
+    const urls = [
+      {
+        source: 'https://soundcloud.com/forss/flickermood',
+        embed: 'https://w.soundcloud.com/player/?url=https%3A%2F%2Fsoundcloud.com%2Fforss%2Fflickermood&visual=true'
+      },
+      {
+        source: 'https://soundcloud.com/forss/sets/soulhack?si=abc',
+        embed: 'https://w.soundcloud.com/player/?url=https%3A%2F%2Fsoundcloud.com%2Fforss%2Fsets%2Fsoulhack&visual=true'
+      },
+    ];
+
+    urls.forEach(url => {
+      expect(patterns[service].test(url.source)).to.be.true;
+
+      const event = composePasteEventMock('pattern', service, url.source);
+
+      embed.onPaste(event);
+
+      expect(embed.data.service).to.be.equal(service);
+      expect(embed.data.embed).to.be.equal(url.embed);
+      expect(embed.data.source).to.be.equal(url.source);
+    });
+  });
+
+  it('Google Maps', async () => {
+    const service = 'google-maps';
+
+    const urls = [
+      {
+        source: 'https://www.google.com/maps/place/Gyeongbokgung+Palace/@37.579617,126.974847,17z/data=!3m1!4b1',
+        embed: 'https://maps.google.com/maps?q=Gyeongbokgung+Palace&z=15&output=embed'
+      },
+      {
+        source: 'https://www.google.com/maps/@37.5662952,126.9779451,13.5z',
+        embed: 'https://maps.google.com/maps?q=37.5662952,126.9779451&z=14&output=embed'
+      },
+    ];
+
+    urls.forEach(url => {
+      expect(patterns[service].test(url.source)).to.be.true;
+
+      const event = composePasteEventMock('pattern', service, url.source);
+
+      embed.onPaste(event);
+
+      expect(embed.data.service).to.be.equal(service);
+      expect(embed.data.embed).to.be.equal(url.embed);
+      expect(embed.data.source).to.be.equal(url.source);
+    });
+
+    expect(patterns[service].test('https://www.google.com/maps/')).to.be.false;
+  });
+
+  it('Figma', async () => {
+    const service = 'figma';
+
+    const urls = [
+      {
+        source: 'https://www.figma.com/file/LKQ4FJ4bTnCSjedbRpk931/Sample-File',
+        embed: 'https://www.figma.com/embed?embed_host=share&url=https%3A%2F%2Fwww.figma.com%2Ffile%2FLKQ4FJ4bTnCSjedbRpk931%2FSample-File'
+      },
+      {
+        source: 'https://www.figma.com/design/LKQ4FJ4bTnCSjedbRpk931/Sample?node-id=0-1',
+        embed: 'https://www.figma.com/embed?embed_host=share&url=https%3A%2F%2Fwww.figma.com%2Fdesign%2FLKQ4FJ4bTnCSjedbRpk931%2FSample%3Fnode-id%3D0-1'
+      },
+    ];
+
+    urls.forEach(url => {
+      expect(patterns[service].test(url.source)).to.be.true;
+
+      const event = composePasteEventMock('pattern', service, url.source);
+
+      embed.onPaste(event);
+
+      expect(embed.data.service).to.be.equal(service);
+      expect(embed.data.embed).to.be.equal(url.embed);
+      expect(embed.data.source).to.be.equal(url.source);
+    });
+  });
+
+  it('Loom', async () => {
+    const service = 'loom';
+
+    const urls = [
+      {
+        source: 'https://www.loom.com/share/0281766fa2d04bb788eaf19e65135184',
+        embed: 'https://www.loom.com/embed/0281766fa2d04bb788eaf19e65135184'
+      },
+    ];
+
+    urls.forEach(url => {
+      expect(patterns[service].test(url.source)).to.be.true;
+
+      const event = composePasteEventMock('pattern', service, url.source);
+
+      embed.onPaste(event);
+
+      expect(embed.data.service).to.be.equal(service);
+      expect(embed.data.embed).to.be.equal(url.embed);
+      expect(embed.data.source).to.be.equal(url.source);
+    });
+  });
+
+  it('GitHub Gist', async () => {
+    const service = 'gist';
+
+    const urls = [
+      {
+        source: 'https://gist.github.com/octocat/6cad326836d38bd3a7ae',
+        embed: 'https://gist.github.com/octocat/6cad326836d38bd3a7ae.pibb'
+      },
+      {
+        source: 'https://gist.github.com/octocat/6cad326836d38bd3a7ae#file-hello-md',
+        embed: 'https://gist.github.com/octocat/6cad326836d38bd3a7ae.pibb'
+      },
+    ];
+
+    urls.forEach(url => {
+      expect(patterns[service].test(url.source)).to.be.true;
+
+      const event = composePasteEventMock('pattern', service, url.source);
+
+      embed.onPaste(event);
+
+      expect(embed.data.service).to.be.equal(service);
+      expect(embed.data.embed).to.be.equal(url.embed);
+      expect(embed.data.source).to.be.equal(url.source);
+    });
+  });
+
+  it('Naver TV', async () => {
+    const service = 'naver-tv';
+
+    const urls = [
+      {
+        source: 'https://tv.naver.com/v/31030608',
+        embed: 'https://tv.naver.com/embed/31030608'
+      },
+      {
+        source: 'https://m.tv.naver.com/v/31030608?plClips=false',
+        embed: 'https://tv.naver.com/embed/31030608',
+        normalized: 'https://tv.naver.com/v/31030608?plClips=false'
+      },
+    ];
+
+    urls.forEach(url => {
+      expect(patterns[service].test(url.source)).to.be.true;
+
+      const event = composePasteEventMock('pattern', service, url.source);
+
+      embed.onPaste(event);
+
+      expect(embed.data.service).to.be.equal(service);
+      expect(embed.data.embed).to.be.equal(url.embed);
+      expect(embed.data.source).to.be.equal(url.normalized || url.source);
+    });
+  });
+
+  it('Kakao TV', async () => {
+    const service = 'kakao-tv';
+
+    const urls = [
+      {
+        source: 'https://tv.kakao.com/v/430094624',
+        embed: 'https://play-tv.kakao.com/embed/player/cliplink/430094624?service=player_share'
+      },
+      {
+        source: 'https://tv.kakao.com/channel/3693125/cliplink/430094624',
+        embed: 'https://play-tv.kakao.com/embed/player/cliplink/430094624?service=player_share'
+      },
+    ];
+
+    urls.forEach(url => {
+      expect(patterns[service].test(url.source)).to.be.true;
+
+      const event = composePasteEventMock('pattern', service, url.source);
+
+      embed.onPaste(event);
+
+      expect(embed.data.service).to.be.equal(service);
+      expect(embed.data.embed).to.be.equal(url.embed);
+      expect(embed.data.source).to.be.equal(url.source);
+    });
+  });
+});
+
+describe('Deprecated services', () => {
+  it('should not match links of deprecated services', () => {
+    expect(patterns).to.not.have.any.keys('vine', 'gfycat');
+    expect(EmbedTool.services).to.not.have.any.keys('vine', 'gfycat');
+  });
+
+  it('should render saved blocks of deprecated services as link cards', () => {
+    const tool = new EmbedTool({
+      data: {
+        service: 'gfycat',
+        source: 'https://gfycat.com/EsteemedMarvelousHagfish',
+        embed: 'https://gfycat.com/ifr/EsteemedMarvelousHagfish',
+      },
+    });
+
+    expect(tool.data.service).to.be.equal('etc');
+    expect(renderToHTML(tool.save())).to.include('class="embed-tool__card"');
+  });
 });
 
 describe('Miro service', () => {
@@ -415,3 +698,74 @@ describe('Miro service', () => {
   })
 });
 
+
+describe('Link card fallback', () => {
+  after(() => {
+    EmbedTool.prepare({});
+  });
+
+  it('should not handle unknown links by default', () => {
+    EmbedTool.prepare({});
+
+    expect(EmbedTool.pasteConfig.patterns).to.not.have.property('etc');
+  });
+
+  it('should handle unknown links when pasteLinkCard is enabled', () => {
+    EmbedTool.prepare({ config: { pasteLinkCard: true } });
+
+    const source = 'https://medistream.co.kr/articles/1';
+    const { patterns: linkPatterns } = EmbedTool.pasteConfig;
+    const keys = Object.keys(linkPatterns);
+
+    expect(keys[keys.length - 1]).to.be.equal('etc');
+    expect(linkPatterns.etc.test(source)).to.be.true;
+
+    embed.onPaste(composePasteEventMock('pattern', 'etc', source));
+
+    expect(embed.data.service).to.be.equal('etc');
+    expect(embed.data.source).to.be.equal(source);
+    expect(embed.data.embed).to.be.undefined;
+  });
+
+  it('should drop saved metadata when the link is submitted again', () => {
+    const source = 'https://medistream.co.kr/articles/1';
+    const tool = new EmbedTool({
+      data: {
+        service: 'etc',
+        source,
+        og: { ogTitle: 'Article' },
+        caption: 'Caption',
+      },
+    });
+
+    expect(tool.save().og.ogTitle).to.be.equal('Article');
+
+    tool._checkedUrl(source);
+
+    expect(tool.save().og).to.be.undefined;
+    expect(tool.save().caption).to.be.equal('Caption');
+  });
+});
+
+describe('Messages', () => {
+  it('should translate default messages with Editor.js i18n', () => {
+    const api = {
+      i18n: {
+        t: (message) => ({ '설명을 입력하세요.': 'Enter a caption' })[message] || message,
+      },
+    };
+    const tool = new EmbedTool({ data: {}, api });
+
+    expect(tool._t('captionPlaceholder')).to.be.equal('Enter a caption');
+    expect(tool._t('urlPlaceholder')).to.be.equal('URL 을 입력하세요.');
+  });
+
+  it('should prefer messages from config', () => {
+    const tool = new EmbedTool({
+      data: {},
+      config: { messages: { invalidUrl: 'Invalid URL' } },
+    });
+
+    expect(tool._t('invalidUrl')).to.be.equal('Invalid URL');
+  });
+});
@@ -0,0 +1,29 @@
+import { expect } from 'chai';
+
+import EmbedTool from '../src/index';
+import { getResponsiveStyle, hasDimensions } from '../src/sizing';
+
+describe('Sizing', () => {
+  it('should compute responsive style from dimensions', () => {
+    expect(getResponsiveStyle({ width: 580, height: 320 })).to.be.equal('max-width: 580px; aspect-ratio: 580 / 320;');
+    expect(getResponsiveStyle({ width: '600', height: '300' })).to.be.equal('max-width: 600px; aspect-ratio: 600 / 300;');
+  });
+
+  it('should ignore unknown dimensions', () => {
+    expect(hasDimensions(580)).to.be.false;
+    expect(hasDimensions(0, 320)).to.be.false;
+    expect(getResponsiveStyle({})).to.be.equal('');
+  });
+
+  it('should save service dimensions with the block data', () => {
+    EmbedTool.prepare({});
+
+    const tool = new EmbedTool({ data: {} });
+
+    tool._checkedUrl('https://coub.com/view/1efrxs');
+
+    expect(tool.save().service).to.be.equal('coub');
+    expect(tool.save().width).to.be.equal(580);
+    expect(tool.save().height).to.be.equal(320);
+  });
+});
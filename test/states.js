@@ -0,0 +1,165 @@
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import EmbedTool from '../src/index';
+
+const GLOBALS = ['window', 'document', 'MutationObserver'];
+
+const api = {
+  styles: {
+    block: 'cdx-block',
+    input: 'cdx-input',
+    button: 'cdx-button',
+  },
+};
+
+const wait = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Loading states', () => {
+  let dom;
+
+  beforeEach(() => {
+    dom = new JSDOM('<!DOCTYPE html><body></body>');
+    GLOBALS.forEach((name) => {
+      global[name] = dom.window[name];
+    });
+    EmbedTool.prepare({ config: {} });
+  });
+
+  afterEach(() => {
+    GLOBALS.forEach((name) => {
+      delete global[name];
+    });
+    dom.window.close();
+  });
+
+  /**
+   * Render the tool into the document
+   *
+   * @param {object} data - block data
+   * @param {object} [config] - tool config
+   * @returns {{tool: EmbedTool, errors: object[]}}
+   */
+  const mount = (data, config = {}) => {
+    const errors = [];
+    const tool = new EmbedTool({
+      data,
+      api,
+      config: {
+        onError: (report) => errors.push(report),
+        ...config,
+      },
+    });
+
+    document.body.appendChild(tool.render());
+
+    return {
+      tool,
+      errors,
+    };
+  };
+
+  const YOUTUBE = {
+    service: 'youtube',
+    source: 'https://www.youtube.com/watch?v=wZZ7oFKsKzY',
+  };
+
+  it('should be loaded when the iframe is loaded', async () => {
+    const { tool, errors } = mount(YOUTUBE);
+
+    expect(tool.element.dataset.state).to.be.equal('loading');
+    expect(tool.element.classList.contains('embed-tool--loading')).to.be.equal(true);
+
+    tool.element.querySelector('iframe').dispatchEvent(new dom.window.Event('load'));
+
+    expect(tool.element.dataset.state).to.be.equal('loaded');
+    expect(tool.element.classList.contains('embed-tool--loading')).to.be.equal(false);
+    expect(errors).to.be.deep.equal([]);
+  });
+
+  it('should time out and retry once', async () => {
+    const { tool, errors } = mount(YOUTUBE, { timeout: 30 });
+
+    await wait(60);
+
+    expect(tool.element.dataset.state).to.be.equal('timed-out');
+    expect(tool.element.querySelector('iframe')).to.be.equal(null);
+    expect(errors.map(({ service, state }) => [service, state])).to.be.deep.equal([ ['youtube', 'timed-out'] ]);
+
+    tool.element.querySelector('.embed-tool__retry-btn').click();
+
+    expect(tool.element.dataset.state).to.be.equal('loading');
+    expect(tool.element.querySelector('iframe')).to.not.be.equal(null);
+
+    tool.element.querySelector('iframe').dispatchEvent(new dom.window.Event('load'));
+    await wait(60);
+
+    expect(tool.element.dataset.state).to.be.equal('loaded');
+    expect(errors).to.have.lengthOf(1);
+  });
+
+  it('should not report timers of replaced view', async () => {
+    const { tool, errors } = mount(YOUTUBE, { timeout: 50 });
+
+    await wait(20);
+    tool._checkedUrl('https://vimeo.com/289836809');
+    await wait(40);
+
+    expect(tool.data.service).to.be.equal('vimeo');
+    expect(tool.element.dataset.state).to.be.equal('loading');
+    expect(errors).to.be.deep.equal([]);
+
+    await wait(40);
+
+    expect(tool.element.dataset.state).to.be.equal('timed-out');
+    expect(errors.map(({ service, state }) => [service, state])).to.be.deep.equal([ ['vimeo', 'timed-out'] ]);
+  });
+
+  it('should fail when link metadata is not loaded', async () => {
+    const { tool, errors } = mount({
+      service: 'etc',
+      source: 'https://example.com/missing',
+    }, {
+      oembed: false,
+      cache: false,
+      ogFetcher: () => Promise.reject(new Error('Not found')),
+    });
+
+    await wait();
+
+    expect(tool.element.dataset.state).to.be.equal('failed');
+    expect(tool.element.querySelector('[role="alert"]')).to.not.be.equal(null);
+    expect(errors).to.have.lengthOf(1);
+    expect(errors[0].error.message).to.be.equal('Not found');
+  });
+
+  it('should time out and fail widget scripts', async () => {
+    const source = 'https://twitter.com/codex_team/status/1202295536826630145';
+    const { tool, errors } = mount({
+      service: 'twitter',
+      source,
+    }, { timeout: 30 });
+
+    await wait(60);
+
+    expect(tool.element.dataset.state).to.be.equal('timed-out');
+    expect(errors.map(({ state }) => state)).to.be.deep.equal([ 'timed-out' ]);
+
+    const failed = mount({
+      service: 'twitter',
+      source,
+    }, { timeout: 1000 });
+
+    await wait();
+    const scripts = document.head.querySelectorAll('script');
+
+    scripts[scripts.length - 1].onerror();
+    await wait();
+
+    expect(failed.tool.element.dataset.state).to.be.equal('failed');
+    expect(failed.errors.map(({ state }) => state)).to.be.deep.equal([ 'failed' ]);
+    expect(errors).to.have.lengthOf(1);
+
+    failed.tool._cleanup();
+  });
+});
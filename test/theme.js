@@ -0,0 +1,30 @@
+import { expect } from 'chai';
+
+import { getCustomClasses, getTheme } from '../src/theme';
+
+describe('Themes', () => {
+  it('should fall back to light theme', () => {
+    expect(getTheme('dark')).to.be.equal('dark');
+    expect(getTheme('auto')).to.be.equal('auto');
+    expect(getTheme('sepia')).to.be.equal('light');
+    expect(getTheme(undefined)).to.be.equal('light');
+  });
+
+  it('should map extra class names to tool classes', () => {
+    const css = {
+      card: 'embed-tool__card',
+      caption: 'embed-tool__caption',
+    };
+
+    expect(getCustomClasses({
+      card: ' brand-card  shadow ',
+      caption: 'brand-caption',
+      unknown: 'ignored',
+      form: 42,
+    }, css)).to.be.deep.equal({
+      'embed-tool__card': ['brand-card', 'shadow'],
+      'embed-tool__caption': [ 'brand-caption' ],
+    });
+    expect(getCustomClasses(undefined, css)).to.be.deep.equal({});
+  });
+});
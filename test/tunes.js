@@ -0,0 +1,82 @@
+import { expect } from 'chai';
+
+import EmbedTool from '../src/index';
+import { renderToHTML } from '../src/html';
+
+describe('Block tunes', () => {
+  it('should persist selected tunes', () => {
+    const tool = new EmbedTool({
+      data: {
+        service: 'coub',
+        source: 'https://coub.com/view/1efrxs',
+      },
+    });
+    const items = tool.renderSettings();
+
+    expect(items.map(({ toggle }) => toggle)).to.not.include('cardStyle');
+    expect(items.filter(({ isActive }) => isActive).map(({ label }) => label))
+      .to.be.deep.equal(['가운데 정렬', '전체 너비', '단일 콘텐츠']);
+
+    items.find(({ label }) => label === '오른쪽 정렬').onActivate();
+    items.find(({ label }) => label === '작게').onActivate();
+
+    expect(tool.save().align).to.be.equal('right');
+    expect(tool.save().size).to.be.equal('small');
+  });
+
+  it('should keep tunes when the link is refreshed', () => {
+    const tool = new EmbedTool({
+      data: {
+        service: 'youtube',
+        source: 'https://www.youtube.com/watch?v=wZZ7oFKsKzY',
+        align: 'right',
+        size: 'small',
+        playback: { start: 30 },
+        caption: 'Talk',
+      },
+    });
+
+    tool._checkedUrl('https://www.youtube.com/watch?v=wZZ7oFKsKzY');
+
+    expect(tool.save()).to.include({
+      service: 'youtube',
+      align: 'right',
+      size: 'small',
+      caption: 'Talk',
+    });
+    expect(tool.save().playback).to.be.deep.equal({ start: 30 });
+
+    tool._checkedUrl('https://www.youtube.com/watch?v=1');
+
+    expect(tool.save().align).to.be.equal('right');
+    expect(tool.save().playback).to.be.equal(undefined);
+  });
+
+  it('should offer card style for link cards only', () => {
+    const tool = new EmbedTool({
+      data: {
+        service: 'etc',
+        source: 'https://example.com',
+      },
+    });
+
+    expect(tool.renderSettings().map(({ toggle }) => toggle)).to.include('cardStyle');
+    expect(new EmbedTool({ data: {}, readOnly: true }).renderSettings()).to.be.empty;
+  });
+
+  it('should honour tunes in rendered HTML', () => {
+    const html = renderToHTML({
+      version: 2,
+      service: 'etc',
+      source: 'https://example.com',
+      og: { ogTitle: 'Example', ogImageUrl: 'https://example.com/a.png' },
+      align: 'left',
+      size: 'medium',
+      cardStyle: 'plain',
+    });
+
+    expect(html).to.include('class="embed-tool embed-tool--size-medium embed-tool--align-left embed-tool--card-style-plain"');
+    expect(html).to.include('style="max-width: 75%; margin: 0 auto 0 0;"');
+    expect(html).to.not.include('https://example.com/a.png');
+  });
+});
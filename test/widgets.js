@@ -0,0 +1,86 @@
+import { expect } from 'chai';
+
+import EmbedTool from '../src/index';
+import SERVICES from '../src/services';
+import { getMatch } from '../src/resolver';
+import { FACEBOOK_WIDGET, INSTAGRAM_WIDGET, TWITTER_WIDGET, isWidget, loadScript } from '../src/widgets';
+
+/**
+ * Minimal document which records added scripts
+ *
+ * @returns {object}
+ */
+const createDocument = () => {
+  const added = [];
+
+  return {
+    added,
+    createElement: () => ({
+      remove: () => {},
+    }),
+    head: {
+      appendChild: (script) => added.push(script),
+    },
+  };
+};
+
+describe('Script-based embeds', () => {
+  it('should compose official markup', () => {
+    const tweet = 'https://x.com/codex_team/status/1202295536826630145?s=20';
+
+    expect(TWITTER_WIDGET.html(getMatch(SERVICES.twitter, tweet).groups)).to.be.equal(
+      '<blockquote class="twitter-tweet" data-dnt="true">' +
+      '<a href="https://twitter.com/codex_team/status/1202295536826630145"></a>' +
+      '</blockquote>'
+    );
+    expect(INSTAGRAM_WIDGET.html(getMatch(SERVICES.instagram, 'https://www.instagram.com/p/B--iRCFHVxI/').groups))
+      .to.include('data-instgrm-permalink="https://www.instagram.com/p/B--iRCFHVxI/"');
+    expect(FACEBOOK_WIDGET.html(getMatch(SERVICES.facebook, 'https://www.facebook.com/genclikforeverresmi/videos/944647522284479').groups))
+      .to.be.equal('<div class="fb-video" data-href="https://www.facebook.com/genclikforeverresmi/videos/944647522284479" data-width="500"></div>');
+    expect(FACEBOOK_WIDGET.html(['page', 'posts/"><script>'])).to.include('posts/&quot;&gt;&lt;script&gt;');
+  });
+
+  it('should load each script once', async () => {
+    const doc = createDocument();
+    const first = loadScript('https://widgets.example/a.js', doc);
+    const second = loadScript('https://widgets.example/a.js', doc);
+
+    expect(first).to.be.equal(second);
+    expect(doc.added).to.have.lengthOf(1);
+    expect(doc.added[0]).to.include({
+      src: 'https://widgets.example/a.js',
+      async: true,
+    });
+
+    doc.added[0].onload();
+    await first;
+  });
+
+  it('should load failed script again', async () => {
+    const doc = createDocument();
+    const first = loadScript('https://widgets.example/b.js', doc);
+
+    doc.added[0].onerror();
+
+    let error = null;
+
+    await first.catch((e) => {
+      error = e;
+    });
+
+    expect(error).to.be.an('error');
+
+    loadScript('https://widgets.example/b.js', doc);
+    expect(doc.added).to.have.lengthOf(2);
+  });
+
+  it('should validate widgets of custom services', () => {
+    expect(isWidget(TWITTER_WIDGET)).to.be.true;
+    expect(EmbedTool.checkServiceConfig({
+      regex: /https:\/\/example\.com\/(\d+)/,
+      embedUrl: 'https://example.com/embed/<%= remote_id %>',
+      html: '<iframe></iframe>',
+      widget: { script: 'https://example.com/widget.js' },
+    })).to.be.false;
+  });
+});
@@ -1,4 +1,4 @@
-module.exports = {
+const editor = {
   entry: './src/index.js',
   module: {
     rules: [
@@ -42,3 +42,21 @@ module.exports = {
     libraryExport: 'default',
   },
 };
+
+/**
+ * DOM-free renderer of saved data for server-side rendering
+ */
+const html = {
+  entry: './src/html.js',
+  target: 'node',
+  module: {
+    rules: [ editor.module.rules[0] ],
+  },
+  output: {
+    path: __dirname + '/dist',
+    filename: 'html.js',
+    libraryTarget: 'commonjs2',
+  },
+};
+
+module.exports = [editor, html];